@@ -0,0 +1,44 @@
+require("dotenv").config();
+
+/**
+ * Print the tracking page analytics report (services/analytics.js).
+ * Usage: npm run analytics -- [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--shop my-store.myshopify.com] [--json]
+ */
+const analytics = require("./services/analytics");
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+function table(rows, key) {
+  if (rows.length === 0) return "  (none)";
+  return rows.slice(0, 10).map(row => `  ${String(row[key]).padEnd(24)} ${row.count}`).join("\n");
+}
+
+analytics.report({ from: option("from"), to: option("to"), shop: option("shop") }).then(result => {
+  if (!result.ok) {
+    console.error(result.error);
+    process.exit(1);
+  }
+
+  const r = result.report;
+  if (process.argv.includes("--json")) {
+    console.log(JSON.stringify(r, null, 2));
+    return;
+  }
+
+  console.log(`Tracking page report ${r.from} .. ${r.to}${r.shop ? ` (${r.shop})` : ""}`);
+  console.log(`Lookups: ${r.lookups}, found: ${r.found}, unique customers: ${r.unique_customers}`);
+  console.log(`Latency: p50 ${r.latency_ms.p50 ?? "-"} ms, p95 ${r.latency_ms.p95 ?? "-"} ms\n`);
+
+  console.log("Lookups per day (lookups / found / not found / errors / language switches):");
+  r.days.filter(d => d.lookups > 0 || d.translations > 0)
+    .forEach(d => console.log(`  ${d.date}  ${d.lookups} / ${d.found} / ${d.not_found} / ${d.errors} / ${d.translations}`));
+
+  console.log("\nTop failure reasons:\n" + table(r.failure_reasons, "code"));
+  console.log("\nWhere is my order, by carrier:\n" + table(r.by_carrier, "carrier"));
+  console.log("\nBy status shown:\n" + table(r.by_status, "status"));
+  console.log("\nLookup modes:\n" + table(r.modes, "mode"));
+  console.log("\nLanguage switches:\n" + table(r.languages, "lang"));
+});
@@ -1,10 +1,246 @@
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
 
-function logDebug(message) {
-    const logFile = path.join(__dirname, 'server_debug.log');
-    const timestamp = new Date().toISOString();
-    fs.appendFileSync(logFile, `[${timestamp}] ${message}\n`);
+/**
+ * =========================
+ * Structured Logging
+ * =========================
+ * One JSON object per line on stdout (warn/error on stderr), and appended to LOG_FILE:
+ *   { "time", "level", "msg", "request_id", "component", ...fields }
+ *
+ *   const logger = require('../logger');
+ *   const log = logger.child({ component: 'Shopify' });
+ *   log.info('Order found', { order: '#1001' });
+ *   log.error('GraphQL request failed', { error });
+ *
+ * LOG_LEVEL: debug | info (default) | warn | error
+ * LOG_FORMAT: json (default) | pretty (one readable line, for local development)
+ * LOG_FILE: default server_debug.log next to this file, "off" to disable. Written asynchronously
+ *   and rotated at LOG_MAX_SIZE_MB (default 10) into LOG_FILE.1 .. LOG_FILE.<LOG_MAX_FILES> (default 5).
+ *
+ * Every request gets an id (X-Request-Id, taken from the caller when it sends a sane one) that
+ * follows async work through AsyncLocalStorage: log lines carry it, and requestHeaders() adds it
+ * to outgoing Shopify and 17TRACK calls.
+ *
+ * Emails, tokens and signatures are redacted from messages and fields before anything is written.
+ */
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] || LEVELS.info;
+const PRETTY = process.env.LOG_FORMAT === 'pretty';
+
+const LOG_FILE = process.env.LOG_FILE === 'off' ? null : (process.env.LOG_FILE || path.join(__dirname, 'server_debug.log'));
+const MAX_BYTES = (parseInt(process.env.LOG_MAX_SIZE_MB, 10) || 10) * 1024 * 1024;
+const MAX_FILES = parseInt(process.env.LOG_MAX_FILES, 10) || 5;
+
+const context = new AsyncLocalStorage();
+
+/**
+ * =========================
+ * Redaction
+ * =========================
+ */
+const REDACTED = '[REDACTED]';
+// Field names whose values are never logged (query params, headers, payload keys)
+const SENSITIVE_KEY = /email|phone|token|secret|password|signature|hmac|authorization|cookie|api[_-]?key|^sign$|^t$|challenge_solution/i;
+const STRING_RULES = [
+    [/[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[a-z]{2,}/gi, '[email]'],
+    [/\bshp(at|ss|ca|pa)_[a-f0-9]+/gi, REDACTED],
+    [/\b(Bearer|Basic)\s+[\w\-.~+/=]+/gi, `$1 ${REDACTED}`],
+    [/([?&](?:email|phone|signature|hmac|token|access_token|id_token|t|challenge_solution)=)[^&\s"']+/gi, `$1${REDACTED}`]
+];
+
+function redactString(value) {
+    return STRING_RULES.reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), value);
+}
+
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth > 6) return '[Object]';
+    if (value instanceof Error) return serializeError(value, depth);
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+    const result = {};
+    Object.entries(value).forEach(([key, item]) => {
+        result[key] = SENSITIVE_KEY.test(key) && item !== null && item !== undefined && item !== '' ? REDACTED : redact(item, depth + 1);
+    });
+    return result;
+}
+
+function serializeError(error, depth) {
+    const serialized = { name: error.name, message: redactString(String(error.message)) };
+    if (error.code) serialized.code = error.code;
+    // axios errors: keep the upstream status and body, not the request config (it holds the tokens)
+    if (error.response) {
+        serialized.status = error.response.status;
+        serialized.response = redact(error.response.data, depth + 1);
+    } else if (error.stack && MIN_LEVEL <= LEVELS.debug) {
+        serialized.stack = error.stack;
+    }
+    return serialized;
+}
+
+/**
+ * =========================
+ * File output (async, rotated)
+ * =========================
+ */
+let queue = [];
+let fileSize = null;
+let draining = null;
+
+async function rotate() {
+    for (let i = MAX_FILES - 1; i >= 1; i--) {
+        await fs.promises.rename(`${LOG_FILE}.${i}`, `${LOG_FILE}.${i + 1}`).catch(() => {});
+    }
+    await fs.promises.rename(LOG_FILE, `${LOG_FILE}.1`).catch(() => {});
+}
+
+// Queued lines that still fit in the current file (always at least one, so huge lines get through)
+function nextChunk() {
+    let size = 0;
+    let count = 0;
+    while (count < queue.length) {
+        const bytes = Buffer.byteLength(queue[count]);
+        if (count > 0 && fileSize + size + bytes > MAX_BYTES) break;
+        size += bytes;
+        count++;
+    }
+    return { lines: queue.splice(0, count), size };
+}
+
+async function drain() {
+    while (queue.length > 0) {
+        try {
+            if (fileSize === null) {
+                await fs.promises.mkdir(path.dirname(LOG_FILE), { recursive: true });
+                fileSize = await fs.promises.stat(LOG_FILE).then(stat => stat.size, () => 0);
+            }
+            if (fileSize > 0 && fileSize + Buffer.byteLength(queue[0]) > MAX_BYTES) {
+                await rotate();
+                fileSize = 0;
+            }
+            const { lines, size } = nextChunk();
+            await fs.promises.appendFile(LOG_FILE, lines.join(''));
+            fileSize += size;
+        } catch (e) {
+            process.stderr.write(`⚠️ Could not write log file ${LOG_FILE}: ${e.message}\n`);
+        }
+    }
+}
+
+function writeToFile(line) {
+    if (!LOG_FILE) return;
+    queue.push(line);
+    if (!draining) {
+        draining = drain().finally(() => { draining = null; });
+    }
+}
+
+// Resolves once queued lines are in the log file (CLI scripts, shutdown)
+function flush() {
+    return draining || Promise.resolve();
+}
+
+/**
+ * =========================
+ * Loggers
+ * =========================
+ */
+function requestId() {
+    const store = context.getStore();
+    return store ? store.requestId : null;
+}
+
+function write(level, bindings, msg, fields) {
+    if (LEVELS[level] < MIN_LEVEL) return;
+
+    const entry = redact({
+        time: new Date().toISOString(),
+        level,
+        msg: String(msg),
+        request_id: requestId() || undefined,
+        ...bindings,
+        ...(fields instanceof Error ? { error: fields } : fields)
+    });
+
+    const json = JSON.stringify(entry) + '\n';
+    let line = json;
+    if (PRETTY) {
+        const { time, level: lvl, msg: text, component, ...rest } = entry;
+        const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+        line = `${time} ${lvl.toUpperCase().padEnd(5)} ${component ? `[${component}] ` : ''}${text}${extra}\n`;
+    }
+
+    (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line);
+    writeToFile(json);
+}
+
+/**
+ * Headers that carry the current request id to an upstream API
+ */
+function requestHeaders() {
+    const id = requestId();
+    return id ? { 'X-Request-Id': id } : {};
+}
+
+// Child loggers keep requestId()/requestHeaders(), so modules only need their own logger
+function createLogger(bindings = {}) {
+    return {
+        debug: (msg, fields) => write('debug', bindings, msg, fields),
+        info: (msg, fields) => write('info', bindings, msg, fields),
+        warn: (msg, fields) => write('warn', bindings, msg, fields),
+        error: (msg, fields) => write('error', bindings, msg, fields),
+        child: (more) => createLogger({ ...bindings, ...more }),
+        requestId,
+        requestHeaders
+    };
+}
+
+const logger = createLogger();
+
+/**
+ * Run `fn` with a request id (background jobs that want their lines correlated)
+ */
+function withRequestId(id, fn) {
+    return context.run({ requestId: id || crypto.randomUUID() }, fn);
+}
+
+/**
+ * Express middleware: assign the request id and log each finished request (query redacted)
+ */
+function requestMiddleware() {
+    const access = logger.child({ component: 'HTTP' });
+    return (req, res, next) => {
+        const incoming = req.get('X-Request-Id');
+        const id = incoming && /^[\w.:-]{8,64}$/.test(incoming) ? incoming : crypto.randomUUID();
+        const startedAt = process.hrtime.bigint();
+        res.setHeader('X-Request-Id', id);
+
+        res.on('finish', () => {
+            const fields = {
+                request_id: id,
+                method: req.method,
+                path: req.originalUrl.split('?')[0],
+                status: res.statusCode,
+                duration_ms: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e6),
+                query: req.query
+            };
+            if (res.statusCode >= 500) access.warn('Request failed', fields);
+            else access.info('Request', fields);
+        });
+
+        context.run({ requestId: id }, next);
+    };
 }
 
-module.exports = logDebug;
+module.exports = {
+    ...logger,
+    withRequestId,
+    requestMiddleware,
+    redact,
+    flush,
+    LEVELS
+};
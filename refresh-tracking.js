@@ -0,0 +1,41 @@
+const path = require("path");
+// Explicit path: cron starts this from an arbitrary working directory
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+/**
+ * Run the background tracking refresher once and exit (for cron).
+ * Usage: npm run refresh
+ * Set REFRESH_JOB_INTERVAL_MINUTES=0 (and ALERT_DIGEST_MINUTES=0) on the server when using this, so only one process writes the stores.
+ */
+const refresher = require("./services/refresher");
+const notifications = require("./services/notifications");
+const shopifyWriteback = require("./services/shopifyWriteback");
+const alerts = require("./services/alerts");
+const trackingStore = require("./utils/trackingStore");
+const { flushAll } = require("./utils/jsonStore");
+const logger = require("./logger");
+
+const log = logger.child({ component: "Refresher" });
+
+// Status changes found by the run still notify customers and reach Shopify
+notifications.start();
+shopifyWriteback.start();
+
+refresher.runOnce()
+  .then(async () => {
+    // Sweep for exceptions and delays, send the alert digest
+    await trackingStore.whenIdle();
+    await alerts.runOnce();
+    return 0;
+  })
+  .catch(error => {
+    // The refresh or the alert sweep failed: still flush what was stored, and tell cron
+    log.error("Run failed", { error });
+    return 1;
+  })
+  .then(async (code) => {
+    await trackingStore.whenIdle();
+    await flushAll();
+    await logger.flush();
+    process.exit(code);
+  });
@@ -0,0 +1,98 @@
+const express = require("express");
+const { requireAdminToken } = require("../utils/adminAuth");
+const glossary = require("../services/translation/glossary");
+const whiteLabel = require("../services/whiteLabel");
+const alerts = require("../services/alerts");
+const analytics = require("../services/analytics");
+const { invalidateTrackingCache } = require("../services/trackingService");
+const logger = require("../logger").child({ component: "Admin" });
+
+const router = express.Router();
+
+router.use(requireAdminToken());
+router.use(express.json({ limit: "256kb" }));
+
+/**
+ * GET /admin/glossary
+ */
+router.get("/glossary", (req, res) => {
+  res.json({ ok: true, glossary: glossary.getGlossary() });
+});
+
+/**
+ * PUT /admin/glossary - replace the whole glossary (see services/translation/glossary.js for the format)
+ */
+router.put("/glossary", async (req, res) => {
+  try {
+    const result = await glossary.saveGlossary(req.body);
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, code: "INVALID_REQUEST", error: result.error });
+    }
+
+    // Cached results were rendered with the old glossary
+    await invalidateTrackingCache();
+    res.json({ ok: true, glossary: result.glossary });
+  } catch (err) {
+    logger.error("Failed to save glossary", { error: err });
+    res.status(500).json({ ok: false, code: "INTERNAL_ERROR", error: "Could not save glossary." });
+  }
+});
+
+/**
+ * GET /admin/white-label
+ */
+router.get("/white-label", (req, res) => {
+  res.json({ ok: true, white_label: whiteLabel.getConfig() });
+});
+
+/**
+ * PUT /admin/white-label - replace the app-wide rules, used by shops without their own (format: services/whiteLabel.js)
+ */
+router.put("/white-label", async (req, res) => {
+  try {
+    const result = await whiteLabel.saveConfig(req.body);
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, code: "INVALID_REQUEST", error: result.error });
+    }
+
+    // Cached results were rendered with the old rules
+    await invalidateTrackingCache();
+    res.json({ ok: true, white_label: result.config });
+  } catch (err) {
+    logger.error("Failed to save white-label rules", { error: err });
+    res.status(500).json({ ok: false, code: "INTERNAL_ERROR", error: "Could not save white-label rules." });
+  }
+});
+
+/**
+ * GET /admin/alerts?shop=...&rule=overdue&state=open - exception and delay alerts across shops
+ */
+router.get("/alerts", (req, res) => {
+  const { shop, rule, state } = req.query;
+  if (rule && !alerts.RULES.includes(rule)) {
+    return res.status(400).json({ ok: false, code: "INVALID_REQUEST", error: `Rule must be one of: ${alerts.RULES.join(", ")}` });
+  }
+  if (state && !alerts.STATES.includes(state)) {
+    return res.status(400).json({ ok: false, code: "INVALID_REQUEST", error: `State must be one of: ${alerts.STATES.join(", ")}` });
+  }
+  const list = alerts.listAlerts({ shop, rule, state });
+  res.json({ ok: true, count: list.length, alerts: list });
+});
+
+/**
+ * GET /admin/analytics?from=2024-05-01&to=2024-05-31&shop=... - tracking page usage report
+ */
+router.get("/analytics", async (req, res) => {
+  try {
+    const result = await analytics.report({ from: req.query.from, to: req.query.to, shop: req.query.shop });
+    if (!result.ok) {
+      return res.status(400).json({ ok: false, code: result.code, error: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    logger.error("Failed to build analytics report", { error: err });
+    res.status(500).json({ ok: false, code: "INTERNAL_ERROR", error: "Could not build report." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,75 @@
+const express = require("express");
+const { lookupByOrder, lookupByTracking, ERROR_CODES } = require("../services/lookupService");
+const { getRequestContext } = require("../services/lookupGuard");
+const logger = require("../logger").child({ component: "API" });
+
+const router = express.Router();
+
+// Error code -> HTTP status
+const HTTP_STATUS = {
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.ORDER_NOT_FOUND]: 404,
+  [ERROR_CODES.TRACKING_NOT_FOUND]: 404,
+  [ERROR_CODES.UPSTREAM_ERROR]: 502,
+  [ERROR_CODES.TOO_MANY_ATTEMPTS]: 429,
+  [ERROR_CODES.CHALLENGE_REQUIRED]: 403,
+  [ERROR_CODES.INTERNAL_ERROR]: 500
+};
+
+// Comma separated list of origins allowed to call the API from a browser (headless storefronts)
+const ALLOWED_ORIGINS = (process.env.API_ALLOWED_ORIGINS || "")
+  .split(",")
+  .map(o => o.trim())
+  .filter(Boolean);
+
+router.use((req, res, next) => {
+  const origin = req.get("Origin");
+  if (origin && (ALLOWED_ORIGINS.includes("*") || ALLOWED_ORIGINS.includes(origin))) {
+    res.setHeader("Access-Control-Allow-Origin", origin);
+    res.setHeader("Vary", "Origin");
+    res.setHeader("Access-Control-Allow-Methods", "GET, OPTIONS");
+  }
+  if (req.method === "OPTIONS") return res.sendStatus(204);
+  next();
+});
+
+/**
+ * Send a lookup result as JSON.
+ * Success: { ok: true, order, packages } (same structure track.ejs receives)
+ * Failure: { ok: false, code, error } (+ `challenge` for CHALLENGE_REQUIRED)
+ */
+function sendResult(res, result) {
+  if (!result.ok) {
+    const code = result.code || ERROR_CODES.INTERNAL_ERROR;
+    if (result.retryAfter) res.setHeader("Retry-After", String(result.retryAfter));
+    return res.status(HTTP_STATUS[code] || 500).json({ ok: false, code, error: result.error, challenge: result.challenge });
+  }
+  res.json({ ok: true, order: result.order, packages: result.packages });
+}
+
+function handle(lookup) {
+  return async (req, res) => {
+    try {
+      sendResult(res, await lookup(req));
+    } catch (err) {
+      logger.error("Lookup failed", { error: err });
+      sendResult(res, { ok: false, code: ERROR_CODES.INTERNAL_ERROR, error: "System Error. Please try again later." });
+    }
+  };
+}
+
+function apiContext(req) {
+  return { ...getRequestContext(req), source: "api" };
+}
+
+/**
+ * GET /api/v1/orders/lookup?order=#1001&email=a@b.com&lang=fr
+ */
+router.get("/orders/lookup", handle(req => lookupByOrder(req.query.order, req.query.email, req.query.lang, apiContext(req))));
+
+/**
+ * GET /api/v1/trackings/:number?lang=fr
+ */
+router.get("/trackings/:number", handle(req => lookupByTracking(req.params.number, req.query.lang, apiContext(req))));
+
+module.exports = router;
@@ -0,0 +1,116 @@
+const express = require("express");
+const crypto = require("crypto");
+const axios = require("axios");
+const NodeCache = require("node-cache");
+const { isValidShopDomain, verifyOAuthHmac } = require("../utils/shopifyAuth");
+const shopStore = require("../services/shopStore");
+const { shopifyGraphql } = require("../services/shopifyService");
+const logger = require("../logger").child({ component: "Auth" });
+
+const router = express.Router();
+
+const SHOPIFY_API_KEY = process.env.SHOPIFY_API_KEY; // Client ID from the Partner Dashboard
+const SHOPIFY_APP_SECRET = process.env.SHOPIFY_APP_SECRET;
+const SHOPIFY_SCOPES = process.env.SHOPIFY_SCOPES || "read_orders,read_products,read_fulfillments";
+const APP_URL = (process.env.APP_URL || "").replace(/\/$/, ""); // Public URL of this server, e.g. https://track.example.com
+
+// OAuth state nonces, valid for 10 minutes
+const pendingStates = new NodeCache({ stdTTL: 600, checkperiod: 120 });
+
+/**
+ * Subscribe the freshly installed shop to the webhooks we handle
+ */
+async function registerWebhooks(shop, accessToken) {
+  const mutation = `
+    mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+      webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }) {
+        userErrors { field message }
+      }
+    }
+  `;
+
+  for (const topic of ["APP_UNINSTALLED", "FULFILLMENTS_CREATE", "FULFILLMENTS_UPDATE", "ORDERS_UPDATED", "ORDERS_CANCELLED"]) {
+    try {
+      const data = await shopifyGraphql({ domain: shop, accessToken }, mutation, {
+        topic,
+        callbackUrl: `${APP_URL}/webhooks/shopify`
+      });
+      const errors = data.webhookSubscriptionCreate.userErrors;
+      if (errors && errors.length > 0) {
+        logger.warn("Webhook registration rejected", { shop, topic, error: errors.map(e => e.message).join(", ") });
+      }
+    } catch (error) {
+      logger.error("Webhook registration failed", { shop, topic, error });
+    }
+  }
+}
+
+/**
+ * =========================
+ * OAuth Install
+ * GET /auth?shop=my-store.myshopify.com
+ * =========================
+ */
+router.get("/", (req, res) => {
+  const shop = shopStore.normalizeShop(req.query.shop);
+
+  if (!isValidShopDomain(shop)) {
+    return res.status(400).render("error", { message: "Invalid shop domain." });
+  }
+  if (!SHOPIFY_API_KEY || !SHOPIFY_APP_SECRET || !APP_URL) {
+    return res.status(500).render("error", { message: "App is not configured for installation." });
+  }
+
+  const state = crypto.randomBytes(16).toString("hex");
+  pendingStates.set(state, shop);
+
+  const params = new URLSearchParams({
+    client_id: SHOPIFY_API_KEY,
+    scope: SHOPIFY_SCOPES,
+    redirect_uri: `${APP_URL}/auth/callback`,
+    state
+  });
+  res.redirect(`https://${shop}/admin/oauth/authorize?${params.toString()}`);
+});
+
+/**
+ * =========================
+ * OAuth Callback
+ * GET /auth/callback?code=...&shop=...&state=...&hmac=...
+ * =========================
+ */
+router.get("/callback", async (req, res) => {
+  const { code, state } = req.query;
+  const shop = shopStore.normalizeShop(req.query.shop);
+
+  if (!isValidShopDomain(shop) || !verifyOAuthHmac(req.query, SHOPIFY_APP_SECRET)) {
+    return res.status(400).render("error", { message: "Invalid installation request." });
+  }
+  if (!state || pendingStates.get(state) !== shop) {
+    return res.status(403).render("error", { message: "Installation request expired. Please try again." });
+  }
+  pendingStates.del(state);
+
+  try {
+    const response = await axios.post(`https://${shop}/admin/oauth/access_token`, {
+      client_id: SHOPIFY_API_KEY,
+      client_secret: SHOPIFY_APP_SECRET,
+      code
+    }, {
+      headers: { "Content-Type": "application/json" }
+    });
+
+    const { access_token: accessToken, scope } = response.data;
+    shopStore.saveShop(shop, { accessToken, scope });
+    logger.info("App installed", { shop, scope });
+
+    await registerWebhooks(shop, accessToken);
+
+    res.redirect(`https://${shop}/admin/apps/${SHOPIFY_API_KEY}`);
+  } catch (error) {
+    logger.error("OAuth token exchange failed", { shop, error });
+    res.status(502).render("error", { message: "Could not complete installation. Please try again." });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,99 @@
+const express = require("express");
+const { requireSessionToken } = require("../utils/adminAuth");
+const { isValidShopDomain } = require("../utils/shopifyAuth");
+const shopStore = require("../services/shopStore");
+const dashboard = require("../services/dashboard");
+const logger = require("../logger").child({ component: "Dashboard" });
+
+const router = express.Router();
+
+// Error code -> HTTP status
+const HTTP_STATUS = {
+  INVALID_REQUEST: 400,
+  ORDER_NOT_FOUND: 404,
+  TRACKING_NOT_FOUND: 404,
+  UPSTREAM_ERROR: 502,
+  INTERNAL_ERROR: 500
+};
+
+function handle(action) {
+  return async (req, res) => {
+    try {
+      const result = await action(req);
+      if (!result.ok) {
+        const code = result.code || "INTERNAL_ERROR";
+        return res.status(HTTP_STATUS[code] || 500).json({ ok: false, code, error: result.error });
+      }
+      res.json(result);
+    } catch (err) {
+      logger.error("Dashboard request failed", { shop: req.shop, error: err });
+      res.status(500).json({ ok: false, code: "INTERNAL_ERROR", error: "System Error. Please try again later." });
+    }
+  };
+}
+
+/**
+ * =========================
+ * Embedded Admin (App URL)
+ * GET /app?shop=...&host=...  - loaded by Shopify inside the admin
+ * =========================
+ * The page itself holds no data; it calls /app/api/* with an App Bridge session token.
+ */
+router.get("/", (req, res) => {
+  const shop = shopStore.normalizeShop(req.query.shop);
+  const apiKey = process.env.SHOPIFY_API_KEY;
+
+  if (!apiKey) {
+    return res.status(500).render("error", { message: "App is not configured for the Shopify admin." });
+  }
+  if (shop && !isValidShopDomain(shop)) {
+    return res.status(400).render("error", { message: "Invalid shop domain." });
+  }
+
+  res.render("dashboard", { apiKey, shop });
+});
+
+/**
+ * =========================
+ * Dashboard API (session token -> req.shop)
+ * =========================
+ */
+router.use("/api", requireSessionToken(), express.json({ limit: "256kb" }));
+
+/**
+ * GET /app/api/search?q=#1001 | tracking number
+ */
+router.get("/api/search", handle(req => dashboard.search(req.shop, req.query.q)));
+
+/**
+ * GET /app/api/trackings/:number - normalized vs raw provider data
+ */
+router.get("/api/trackings/:number", handle(req => dashboard.trackingDetails(req.shop, req.params.number)));
+
+/**
+ * POST /app/api/trackings/:number/refresh
+ */
+router.post("/api/trackings/:number/refresh", handle(req => dashboard.forceRefresh(req.shop, req.params.number)));
+
+/**
+ * POST /app/api/trackings/:number/register
+ */
+router.post("/api/trackings/:number/register", handle(req => dashboard.reRegister(req.shop, req.params.number)));
+
+/**
+ * GET /app/api/alerts?rule=no_scan&state=open
+ */
+router.get("/api/alerts", handle(async req => dashboard.listAlerts(req.shop, { rule: req.query.rule, state: req.query.state })));
+
+/**
+ * POST /app/api/alerts/:tracking/ack
+ */
+router.post("/api/alerts/:tracking/ack", handle(async req => dashboard.acknowledgeAlert(req.shop, req.params.tracking)));
+
+/**
+ * GET/PUT /app/api/settings - { languages, notifications, white_label }
+ */
+router.get("/api/settings", handle(async req => ({ ok: true, settings: dashboard.getSettings(req.shop) })));
+router.put("/api/settings", handle(req => dashboard.saveSettings(req.shop, req.body)));
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require("express");
+const health = require("../services/health");
+
+const router = express.Router();
+
+/**
+ * =========================
+ * Probes (mounted before logging and rate limiting; GET /metrics is in routes/metrics.js)
+ * =========================
+ */
+
+/**
+ * GET /healthz - liveness: the process is up and serving
+ */
+router.get("/healthz", (req, res) => {
+  res.json({ ok: true, uptime: Math.round(process.uptime()) });
+});
+
+/**
+ * GET /readyz[?upstream=1] - configuration checks, plus Shopify / 17TRACK reachability with ?upstream=1
+ * 200 when every critical check passes, 503 otherwise
+ */
+router.get("/readyz", async (req, res) => {
+  try {
+    const upstream = req.query.upstream !== undefined ? ["1", "true"].includes(String(req.query.upstream)) : undefined;
+    const result = await health.readiness({ upstream });
+    res.status(result.ready ? 200 : 503).json({ ok: result.ready, checks: result.checks });
+  } catch (err) {
+    res.status(503).json({ ok: false, error: err.message });
+  }
+});
+
+module.exports = router;
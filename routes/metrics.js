@@ -0,0 +1,32 @@
+const express = require("express");
+const crypto = require("crypto");
+const health = require("../services/health");
+
+const router = express.Router();
+
+function isMetricsToken(header) {
+  const expected = `Bearer ${process.env.METRICS_TOKEN}`;
+  try {
+    return crypto.timingSafeEqual(Buffer.from(header || ""), Buffer.from(expected));
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * GET /metrics - Prometheus text format. Scrapers send METRICS_TOKEN as a Bearer token;
+ * without METRICS_TOKEN configured the endpoint is disabled (it shows breaker states,
+ * upstream error counts and the 17TRACK quota).
+ */
+router.get("/metrics", async (req, res) => {
+  if (!process.env.METRICS_TOKEN) {
+    return res.status(404).type("text/plain").send("Not found");
+  }
+  if (!isMetricsToken(req.get("Authorization"))) {
+    return res.status(401).type("text/plain").send("Unauthorized");
+  }
+
+  res.type("text/plain; version=0.0.4").send(await health.renderMetrics());
+});
+
+module.exports = router;
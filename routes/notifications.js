@@ -0,0 +1,55 @@
+const express = require("express");
+const contacts = require("../services/notifications/contacts");
+const logger = require("../logger").child({ component: "Notify" });
+
+const router = express.Router();
+
+/**
+ * =========================
+ * Unsubscribe (link in every notification email)
+ * GET /notifications/unsubscribe?a=<address>&t=<signature>
+ * =========================
+ */
+router.get("/unsubscribe", (req, res) => {
+  const address = contacts.verifyUnsubscribe(req.query.a, req.query.t);
+
+  if (!address) {
+    return res.status(400).render("message", {
+      title: req.t("unsubscribe.title_invalid"),
+      message: req.t("unsubscribe.invalid")
+    });
+  }
+
+  contacts.optOut(address);
+  logger.info("Opt-out recorded");
+  res.render("message", {
+    title: req.t("unsubscribe.title"),
+    message: req.t("unsubscribe.done", { address })
+  });
+});
+
+/**
+ * =========================
+ * Double opt-in confirmation for track page subscriptions
+ * GET /notifications/confirm?n=<tracking>&a=<address>&t=<signature>
+ * =========================
+ */
+router.get("/confirm", (req, res) => {
+  const verified = contacts.verifyConfirm(req.query.n, req.query.a, req.query.t);
+  const contact = verified && contacts.confirmContact(verified.tracking, verified.address);
+
+  if (!contact) {
+    return res.status(400).render("message", {
+      title: req.t("unsubscribe.title_invalid"),
+      message: req.t("unsubscribe.invalid")
+    });
+  }
+
+  logger.info("Subscription confirmed", { tracking: verified.tracking });
+  res.render("message", {
+    title: req.t("unsubscribe.title_confirmed"),
+    message: req.t("unsubscribe.confirmed", { tracking: verified.tracking })
+  });
+});
+
+module.exports = router;
@@ -0,0 +1,108 @@
+const express = require("express");
+const { verify17TrackSignature } = require("../utils/track17Auth");
+const { verifyWebhookHmac } = require("../utils/shopifyAuth");
+const shopStore = require("../services/shopStore");
+const cache = require("../utils/cache");
+const trackingStore = require("../utils/trackingStore");
+const { invalidateTrackingCache } = require("../services/trackingService");
+const track17 = require("../services/providers/track17");
+const orderSync = require("../services/orderSync");
+const logger = require("../logger").child({ component: "Webhook" });
+
+const router = express.Router();
+
+const TRACK17_WEBHOOK_SECRET = process.env.TRACK17_WEBHOOK_SECRET || process.env.TRACK17_KEY;
+
+/**
+ * =========================
+ * 17TRACK Push (Webhook)
+ * POST /webhooks/17track
+ * Events: TRACKING_UPDATED, TRACKING_STOPPED
+ * =========================
+ */
+router.post("/17track", express.raw({ type: "*/*", limit: "2mb" }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body.toString("utf8") : "";
+
+  if (!verify17TrackSignature(rawBody, req.get("sign"), TRACK17_WEBHOOK_SECRET)) {
+    logger.warn("17TRACK webhook signature verification failed");
+    return res.status(401).json({ ok: false, error: "Invalid signature" });
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (e) {
+    return res.status(400).json({ ok: false, error: "Invalid JSON" });
+  }
+
+  const event = payload.event;
+  const data = payload.data || {};
+  const number = data.number;
+
+  if (!number) {
+    return res.status(400).json({ ok: false, error: "Missing tracking number" });
+  }
+
+  if (event === "TRACKING_UPDATED") {
+    const parsed = track17.parse(data.track_info || data.track);
+    trackingStore.saveTracking(number, { ...parsed, provider: track17.name, stopped: false });
+    await invalidateTrackingCache(number);
+    logger.info("17TRACK push stored", { tracking: number, status: parsed.status, events: parsed.events.length });
+  } else if (event === "TRACKING_STOPPED") {
+    trackingStore.markStopped(number);
+    await invalidateTrackingCache(number);
+    logger.info("17TRACK tracking stopped", { tracking: number });
+  } else {
+    logger.info("17TRACK event ignored", { tracking: number, event });
+  }
+
+  // 17TRACK retries on anything other than 200
+  res.json({ ok: true });
+});
+
+/**
+ * =========================
+ * Shopify Webhooks
+ * POST /webhooks/shopify  (topic in X-Shopify-Topic)
+ * Topics: app/uninstalled, fulfillments/create, fulfillments/update, orders/updated, orders/cancelled
+ * =========================
+ */
+router.post("/shopify", express.raw({ type: "*/*", limit: "2mb" }), async (req, res) => {
+  const rawBody = Buffer.isBuffer(req.body) ? req.body : Buffer.from("");
+
+  if (!verifyWebhookHmac(rawBody, req.get("X-Shopify-Hmac-Sha256"), process.env.SHOPIFY_APP_SECRET)) {
+    logger.warn("Shopify webhook HMAC verification failed", { shop: req.get("X-Shopify-Shop-Domain"), topic: req.get("X-Shopify-Topic") });
+    return res.status(401).send("Invalid HMAC");
+  }
+
+  const topic = req.get("X-Shopify-Topic");
+  const shop = shopStore.normalizeShop(req.get("X-Shopify-Shop-Domain"));
+
+  if (topic === "app/uninstalled") {
+    shopStore.removeShop(shop);
+    // Drop everything cached for this shop
+    await cache.invalidate(`shop:${shop}`);
+    logger.info("App uninstalled", { shop });
+  } else if (orderSync.TOPICS.includes(topic)) {
+    let payload;
+    try {
+      payload = JSON.parse(rawBody.toString("utf8"));
+    } catch (e) {
+      return res.status(400).send("Invalid JSON");
+    }
+
+    const result = await orderSync.handleOrderWebhook(shop, topic, payload);
+    if (!result.ok) {
+      logger.warn("Shopify webhook not processed", { shop, topic, code: result.code, error: result.error });
+      // Let Shopify retry when the Admin API was the problem
+      if (result.code === "UPSTREAM_ERROR") return res.sendStatus(503);
+    }
+  } else {
+    logger.info("Shopify webhook topic ignored", { shop, topic });
+  }
+
+  // Shopify retries on anything other than 2xx
+  res.sendStatus(200);
+});
+
+module.exports = router;
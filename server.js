@@ -1,17 +1,29 @@
 const express = require("express");
 const dotenv = require("dotenv");
 const path = require("path");
-const rateLimit = require("express-rate-limit");
+const { rateLimit, ipKeyGenerator } = require("express-rate-limit");
 const helmet = require("helmet");
 
 dotenv.config({ path: path.join(__dirname, ".env") });
 
+const logger = require("./logger");
+const shopStore = require("./services/shopStore");
+const i18n = require("./utils/i18n");
+
 const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Trust Proxy (Essential for Rate Limiting behind Nginx/Shopify)
 app.set('trust proxy', 1);
 
+// Liveness / readiness probes: not logged, counted or rate limited
+app.use(require("./routes/health"));
+
+// Request id + one structured log line per request (query redacted), see logger.js
+app.use(logger.requestMiddleware());
+// Request counts and latency per route for GET /metrics
+app.use(require("./utils/metrics").httpMiddleware());
+
 // --- Security Headers (Helmet) ---
 app.use(helmet({
   contentSecurityPolicy: {
@@ -29,22 +41,34 @@ app.use(helmet({
   crossOriginEmbedderPolicy: false // Disable if causing issues with cross-origin resources
 }));
 
+// --- UI Locale (req.t / res.locals.t for views and messages) ---
+app.use(i18n.middleware());
+
 // --- Rate Limiting ---
 const globalLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
-  message: "Too many requests from this IP, please try again later.",
+  message: (req) => req.t("errors.RATE_LIMITED"),
   standardHeaders: true, 
   legacyHeaders: false,
+  skip: (req) => req.path.startsWith("/webhooks/"), // Carrier pushes come in bursts from a few IPs
+  // Limits are per installed shop (unknown `shop` values share one bucket so they can't be used to dodge the limit)
+  keyGenerator: (req) => `${shopStore.getShop(req.query.shop) ? shopStore.normalizeShop(req.query.shop) : "default"}:${ipKeyGenerator(req.ip)}`,
 });
 // Apply global limiter to all requests
 app.use(globalLimiter);
 
-// 调试中间件：打印所有请求详情
-app.use((req, res, next) => {
-  console.log(`[Request] ${req.method} ${req.path}`);
-  console.log("Query:", req.query);
-  next();
+// Prometheus metrics (needs METRICS_TOKEN), behind the limiter so the token can't be guessed quickly
+app.use(require("./routes/metrics"));
+
+// "Notify me" sends confirmation emails / SMS, so it gets a much tighter budget
+const subscribeLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5,
+  message: (req) => ({ ok: false, code: "RATE_LIMITED", error: req.t("errors.RATE_LIMITED") }),
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => `${shopStore.getShop(req.query.shop) ? shopStore.normalizeShop(req.query.shop) : "default"}:${ipKeyGenerator(req.ip)}`,
 });
 
 /**
@@ -54,6 +78,8 @@ app.use((req, res, next) => {
  */
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
+app.locals.shipmentStatus = require("./utils/shipmentStatus"); // Status enum + presentation for templates
+app.locals.whiteLabel = require("./services/whiteLabel"); // White-label display rules
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/proxy", express.static(path.join(__dirname, "public"))); // 兼容 Shopify Proxy 路径
 app.use("/apps/track", express.static(path.join(__dirname, "public"))); // 本地开发兼容：/apps/track/* 静态资源
@@ -81,31 +107,89 @@ app.get("/", (req, res) => {
  * =========================
  */
 const { getTrackingInfo } = require("./services/trackingService");
-const { getOrderByNameAndEmail, findOrderByTrackingNumber } = require("./services/shopifyService");
-const { verifyShopifySignature } = require("./utils/shopifyAuth");
-const logDebug = require('./logger');
-
-const SHOPIFY_APP_SECRET = process.env.SHOPIFY_APP_SECRET;
+const { targetLanguages } = require("./services/translation");
+const { lookupByOrder, lookupByTracking, verifyTracking, ERROR_CODES } = require("./services/lookupService");
+const { getRequestContext } = require("./services/lookupGuard");
+const { requireAppProxySignature } = require("./utils/shopifyAuth");
+const analytics = require("./services/analytics");
+analytics.start();
 
 app.use((req, res, next) => {
   res.setHeader("ngrok-skip-browser-warning", "true");
   next();
 });
 
-app.get(["/proxy/track", "/proxy"], async (req, res) => {
+/**
+ * =========================
+ * Shopify OAuth install flow
+ * =========================
+ */
+app.use("/auth", require("./routes/auth"));
+
+/**
+ * =========================
+ * JSON API (headless storefronts, mobile app, support bot)
+ * =========================
+ */
+app.use("/api/v1", require("./routes/api"));
+
+/**
+ * =========================
+ * Webhooks (17TRACK push, Shopify)
+ * =========================
+ */
+app.use("/webhooks", require("./routes/webhooks"));
+
+/**
+ * =========================
+ * Customer notifications (status change emails / SMS / webhooks, unsubscribe links)
+ * =========================
+ */
+const notifications = require("./services/notifications");
+notifications.start();
+app.use("/notifications", require("./routes/notifications"));
+
+/**
+ * =========================
+ * Carrier status write-back to Shopify fulfillments (SHOPIFY_WRITEBACK)
+ * =========================
+ */
+require("./services/shopifyWriteback").start();
+
+/**
+ * =========================
+ * Background tracking refresher (registers new fulfillments, keeps open shipments fresh)
+ * =========================
+ */
+require("./services/refresher").start();
+
+/**
+ * =========================
+ * Exception & delay alerts for support (config/alerts.json, ALERT_* digest)
+ * =========================
+ */
+require("./services/alerts").start();
+
+/**
+ * =========================
+ * Admin API (ADMIN_API_TOKEN)
+ * =========================
+ */
+app.use("/admin", require("./routes/admin"));
+
+/**
+ * =========================
+ * Merchant dashboard embedded in the Shopify admin (App URL: <APP_URL>/app)
+ * =========================
+ */
+app.use("/app", require("./routes/dashboard"));
+
+app.get(["/proxy/track", "/proxy"], requireAppProxySignature(), async (req, res) => {
   res.setHeader("Content-Type", "text/html; charset=utf-8");
 
   const { tracking, order, email } = req.query;
-  
-  // 1. Security Check
-  const isShopifyRequest = verifyShopifySignature(req.query, SHOPIFY_APP_SECRET);
-  if (!isShopifyRequest) {
-      logDebug("⚠️ Signature verification failed");
-  } else {
-      logDebug("✅ Signature verified");
-  }
 
-  // 2. Determine Mode
+  // 1. Determine Mode (signature already enforced by requireAppProxySignature)
   const isOrderSearch = order && email;
   const isTrackingSearch = !!tracking;
 
@@ -120,140 +204,140 @@ app.get(["/proxy/track", "/proxy"], async (req, res) => {
   }
 
   try {
-    let viewData = {
-        order: null,
-        packages: [],
-        isSearch: true,
-        query: req.query
-    };
-
-    if (isOrderSearch) {
-        // --- Order Mode ---
-        console.log(`Searching for Order: ${order}, Email: ${email}`);
-        const orderResult = await getOrderByNameAndEmail(order, email);
-        
-        if (!orderResult.ok) {
-            return res.render("error", { message: orderResult.error || "Order not found" });
+    // 2. Fetch order + tracking data
+    const guardCtx = { ...getRequestContext(req), source: "page" };
+    const result = isOrderSearch
+        ? await lookupByOrder(order, email, req.query.lang, guardCtx)
+        : await lookupByTracking(tracking, req.query.lang, guardCtx);
+
+    if (!result.ok) {
+        if (result.code === ERROR_CODES.CHALLENGE_REQUIRED) {
+            // Show the search form again; the page solves the challenge before resubmitting
+            return res.status(403).render("track", {
+                order: null,
+                packages: [],
+                isSearch: false,
+                query: req.query,
+                challenge: result.challenge,
+                notice: req.t(`errors.${result.code}`)
+            });
         }
-
-        viewData.order = orderResult.order;
-        
-        // Determine target language (default to English if not specified, allow 'original' to skip translation)
-        const requestedLang = req.query.lang; 
-        const targetLang = requestedLang === 'original' ? null : (requestedLang || 'en');
-
-        // Fetch tracking for all packages in parallel
-        // Note: viewData.order.packages already has basic info, we need to enrich it with 17TRACK data
-        const enrichedPackages = await Promise.all(viewData.order.packages.map(async (pkg) => {
-            if (pkg.tracking_number && pkg.tracking_number !== 'Processing') {
-                const trackInfo = await getTrackingInfo(pkg.tracking_number, targetLang);
-                if (trackInfo.ok) {
-                    return {
-                        ...pkg,
-                        status: trackInfo.status,
-                        carrier: trackInfo.carrier,
-                        events: trackInfo.events || [],
-                        original_language: trackInfo.original_language
-                    };
-                }
-            }
-            return { ...pkg, events: [] };
-        }));
-
-        viewData.packages = enrichedPackages;
-        viewData.currentLang = requestedLang || 'en'; // Pass to view for dropdown state
-
-    } else {
-        // --- Tracking Number Mode ---
-        console.log(`Searching for Tracking: ${tracking}`);
-        
-        // 1. Verify if this tracking number belongs to our shop
-        const orderResult = await findOrderByTrackingNumber(tracking);
-        
-        if (!orderResult.ok) {
-            // Not found in our system -> Block access
-            return res.render("error", { message: "We could not find an order with this tracking number in our system." });
+        if (result.code === ERROR_CODES.TOO_MANY_ATTEMPTS) {
+            res.setHeader("Retry-After", String(result.retryAfter));
+            return res.status(429).render("error", { message: req.t(`errors.${result.code}`) });
         }
-
-        // 2. Found Order! Set it to viewData
-        viewData.order = orderResult.order;
-        
-        // Determine target language
-        const requestedLang = req.query.lang; 
-        const targetLang = requestedLang === 'original' ? null : (requestedLang || 'en');
-
-        // 3. Get Logistics Info from 17Track
-        const trackInfo = await getTrackingInfo(tracking, targetLang);
-        
-        // 4. Construct Package Data
-        // If 17Track fails or returns nothing, we still show the order info but with empty events
-        let pkgStatus = 'fulfilled';
-        let pkgEvents = [];
-        let pkgCarrier = 'Unknown';
-        let pkgOriginalLang = 'Unknown';
-        
-        if (trackInfo && trackInfo.ok) {
-            pkgStatus = trackInfo.status;
-            pkgEvents = trackInfo.events || [];
-            pkgCarrier = trackInfo.carrier;
-            pkgOriginalLang = trackInfo.original_language;
-        }
-
-        // Find the specific package in the order that matches this tracking number
-        // to display the correct items in the UI
-        const matchedPackage = viewData.order.packages.find(p => p.tracking_number === tracking) || viewData.order.packages[0];
-
-        viewData.packages = [{
-            ...matchedPackage, // Inherit items and name from Shopify Data
-            carrier: pkgCarrier || matchedPackage.tracking_company,
-            status: pkgStatus,
-            events: pkgEvents,
-            original_language: pkgOriginalLang
-        }];
-        viewData.currentLang = requestedLang || 'en'; // Pass to view
+        return res.render("error", { message: result.code ? req.t(`errors.${result.code}`) : result.error });
     }
 
     // Check if we have any data to show
-    if (viewData.packages.length === 0 && !viewData.order) {
-        return res.render("error", { message: "No tracking information found." });
+    if (result.packages.length === 0 && !result.order) {
+        return res.render("error", { message: req.t("errors.NO_TRACKING_INFO") });
     }
 
+    const viewData = {
+        order: result.order,
+        packages: result.packages,
+        isSearch: true,
+        query: req.query,
+        currentLang: req.query.lang || 'en', // Pass to view for dropdown state
+        subscribeOptions: notifications.subscriptionOptions(), // "Notify me" form: { email, sms }
+        translationLanguages: targetLanguages(shopStore.getShopSettings(req.query.shop).languages)
+    };
+
     res.render("track", viewData);
 
   } catch (err) {
-    console.error("Server Error:", err);
+    logger.error("Tracking page failed", { error: err });
     res.render("error", {
-      message: "System Error. Please try again later."
+      message: req.t("errors.INTERNAL_ERROR")
     });
   }
 });
 
+// JSON answer for a tracking number verifyTracking refused (not ours, locked out, challenge, Shopify down)
+const VERIFY_HTTP_STATUS = {
+  [ERROR_CODES.INVALID_REQUEST]: 400,
+  [ERROR_CODES.TRACKING_NOT_FOUND]: 404,
+  [ERROR_CODES.UPSTREAM_ERROR]: 502,
+  [ERROR_CODES.TOO_MANY_ATTEMPTS]: 429,
+  [ERROR_CODES.CHALLENGE_REQUIRED]: 403
+};
+
+function sendVerifyFailure(req, res, result) {
+  if (result.retryAfter) res.setHeader("Retry-After", String(result.retryAfter));
+  res.status(VERIFY_HTTP_STATUS[result.code] || 500).json({
+    ok: false,
+    code: result.code,
+    error: req.t(`errors.${result.code}`),
+    challenge: result.challenge
+  });
+}
+
 // New route for translating tracking info - Updated to be under /proxy/track/translate to match App Proxy path
-app.post(["/proxy/track/translate", "/proxy/translate-track", "/proxy/translate"], express.json(), async (req, res) => {
+app.post(["/proxy/track/translate", "/proxy/translate-track", "/proxy/translate"], requireAppProxySignature({ json: true }), express.json(), async (req, res) => {
   const { tracking, lang } = req.body;
   if (!tracking || !lang) {
     return res.json({ ok: false, error: "Missing tracking number or language code" });
   }
 
+  const switchCtx = { shop: shopStore.resolveShop(req.query.shop), tracking, lang, startedAt: Date.now() };
   try {
-    // 1. Verify if this tracking number belongs to our shop (security check)
-    // We reuse findOrderByTrackingNumber to ensure user has right to access this tracking info
-    // However, for performance, we might skip this if session is already validated or if we trust the tracking number from frontend context.
-    // For now, let's just proceed to get tracking info with language.
-    
+    // 1. Verify this tracking number belongs to one of our orders (security check, counted by the lookup guard)
+    // findOrderByTrackingNumber is cached, so repeated language switches stay cheap
+    const orderResult = await verifyTracking(tracking, getRequestContext(req));
+    if (!orderResult.ok) {
+      analytics.recordTranslation(switchCtx, orderResult);
+      return sendVerifyFailure(req, res, orderResult);
+    }
+
     // 2. Get Translated Info
     // Note: 17Track language codes: English=1033, Simple Chinese=2052, etc.
     // We expect frontend to send the correct code (string or int).
     const targetLang = lang === 'original' ? null : lang;
-    const trackInfo = await getTrackingInfo(tracking, targetLang);
-    
+    const pkg = orderResult.order.packages.find(p => p.tracking_number === tracking);
+    const trackInfo = await getTrackingInfo(tracking, targetLang, pkg && pkg.tracking_company, req.query.shop);
+    analytics.recordTranslation(switchCtx, trackInfo.ok ? trackInfo : { ok: false, code: "UPSTREAM_ERROR" });
+
     res.json(trackInfo);
   } catch (error) {
-    console.error("Translation Error:", error);
+    logger.error("Translation failed", { tracking, lang, error });
+    analytics.recordTranslation(switchCtx, { ok: false, code: "INTERNAL_ERROR" });
     res.json({ ok: false, error: "Translation failed" });
   }
 });
 
+// "Notify me about this shipment" (double opt-in: a confirmation link is sent first)
+app.post(["/proxy/track/subscribe", "/proxy/subscribe"], requireAppProxySignature({ json: true }), subscribeLimiter, express.json(), async (req, res) => {
+  const { tracking, contact } = req.body || {};
+  if (!tracking || !contact) {
+    return res.status(400).json({ ok: false, code: "INVALID_REQUEST", error: req.t("track.subscribe.invalid") });
+  }
+
+  try {
+    // Only numbers that belong to one of our orders can be subscribed to
+    const orderResult = await verifyTracking(tracking, getRequestContext(req));
+    if (!orderResult.ok) {
+      return sendVerifyFailure(req, res, orderResult);
+    }
+
+    const result = await notifications.subscribe(tracking, contact, {
+      shop: shopStore.resolveShop(req.query.shop),
+      locale: req.locale,
+      order: orderResult.order.name
+    });
+
+    if (!result.ok) {
+      const message = result.code === "INVALID_CONTACT" ? req.t("track.subscribe.invalid") : req.t("track.subscribe.failed");
+      return res.status(result.code === "INVALID_CONTACT" ? 400 : 502).json({ ok: false, code: result.code, error: message });
+    }
+
+    res.json({ ok: true, pending: true, message: req.t("track.subscribe.pending") });
+  } catch (error) {
+    logger.error("Subscribe failed", { tracking, error });
+    res.status(500).json({ ok: false, code: "INTERNAL_ERROR", error: req.t("track.subscribe.failed") });
+  }
+});
+
 app.listen(PORT, () => {
-  console.log(`✅ Server running at http://localhost:${PORT}`);
+  logger.info(`Server running at http://localhost:${PORT}`, { port: Number(PORT) });
 });
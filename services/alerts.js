@@ -0,0 +1,358 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { createJsonStore } = require('../utils/jsonStore');
+const trackingStore = require('../utils/trackingStore');
+const shipmentStatus = require('../utils/shipmentStatus');
+const { STATUS } = shipmentStatus;
+const orderIndex = require('./orderIndex');
+const refresher = require('./refresher');
+const email = require('./notifications/email');
+const { getHistoricalWindow } = require('./deliveryEstimate');
+const logger = require('../logger').child({ component: 'Alerts' });
+
+/**
+ * =========================
+ * Exception & Delay Alerts
+ * =========================
+ * Flags shipments support should look at before the customer writes in. Rules live in
+ * config/alerts.json (or ALERT_RULES_FILE):
+ *
+ *   {
+ *     "no_scan_days": 7,                                  // no_scan: no new carrier scan for N days
+ *     "statuses": ["returned_to_sender", "exception"],    // status: canonical statuses that always alert
+ *     "keywords": {                                       // matched against the latest event
+ *       "customs_hold": ["held by customs", "扣关"],       //   (customs_hold also fires on the customs_hold status;
+ *                                                         //    list hold phrases, "customs" alone matches clearance too)
+ *       "address_problem": ["incorrect address", "地址不详"]   //   (problem phrases: "address" alone matches "Delivered to address")
+ *     },
+ *     "transit_days": { "France": 12, "*": 30 },          // overdue: destination country -> max transit days
+ *     "overdue_margin_days": 2
+ *   }
+ *
+ * A shipment is overdue once it is past the carrier's estimate, else past the historical
+ * window for its carrier and destination (services/deliveryEstimate.js), else past
+ * transit_days for its destination, each plus overdue_margin_days.
+ *
+ * Shipments are checked on every status change and by a sweep every ALERT_DIGEST_MINUTES
+ * (quiet numbers never change). Flags go to a queryable list (GET /admin/alerts, dashboard
+ * Alerts tab) and newly raised ones to a digest: ALERT_WEBHOOK_URL (JSON, signed with
+ * ALERT_WEBHOOK_SECRET like the notification webhook) and/or ALERT_EMAIL_TO (via SMTP_*).
+ *
+ * Alert shape: { tracking, shop, order, carrier, status, state: open | acknowledged | resolved,
+ *                flags: [{ rule, detail, since }], first_flagged_at, updated_at, resolved_at, notified_rules }
+ */
+const ALERT_RULES_FILE = process.env.ALERT_RULES_FILE || path.join(__dirname, '..', 'config', 'alerts.json');
+const DIGEST_MINUTES = parseInt(process.env.ALERT_DIGEST_MINUTES || '60', 10);
+const ALERT_WEBHOOK_URL = process.env.ALERT_WEBHOOK_URL;
+const ALERT_WEBHOOK_SECRET = process.env.ALERT_WEBHOOK_SECRET;
+const ALERT_EMAIL_TO = process.env.ALERT_EMAIL_TO;
+
+const RULES = ['no_scan', 'status', 'customs_hold', 'address_problem', 'overdue'];
+const STATES = ['open', 'acknowledged', 'resolved'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_CONFIG = {
+    no_scan_days: 7,
+    statuses: [STATUS.RETURNED_TO_SENDER, STATUS.DELIVERY_FAILED, STATUS.EXCEPTION, STATUS.EXPIRED],
+    keywords: {
+        customs_hold: ['customs hold', 'held by customs', 'held in customs', 'held at customs'],
+        address_problem: ['incorrect address', 'wrong address', 'address unknown', 'insufficient address', 'undeliverable', '地址不详', '地址错误']
+    },
+    transit_days: { '*': 30 },
+    overdue_margin_days: 2
+};
+
+const alerts = createJsonStore('alerts');
+
+let config = DEFAULT_CONFIG;
+let timer = null;
+let started = false;
+
+function loadConfig() {
+    try {
+        if (fs.existsSync(ALERT_RULES_FILE)) {
+            config = { ...DEFAULT_CONFIG, ...JSON.parse(fs.readFileSync(ALERT_RULES_FILE, 'utf8')) };
+        }
+    } catch (e) {
+        logger.warn('Could not load alert rules', { file: ALERT_RULES_FILE, error: e });
+    }
+    return config;
+}
+
+loadConfig();
+
+function parseTime(value) {
+    const time = new Date(value).getTime();
+    return isNaN(time) ? null : time;
+}
+
+function days(ms) {
+    return Math.floor(ms / DAY_MS);
+}
+
+function matchKeyword(rule, event) {
+    if (!event) return null;
+    const text = `${event.desc || ''} ${event.location || ''}`.toLowerCase();
+    return (config.keywords[rule] || []).find(word => text.includes(String(word).toLowerCase())) || null;
+}
+
+function transitDaysFor(destination) {
+    const table = config.transit_days || {};
+    const key = Object.keys(table).find(k => k !== '*' && k.toLowerCase() === String(destination || '').toLowerCase());
+    return key ? table[key] : table['*'];
+}
+
+/**
+ * When the shipment should have arrived, or null when we can't tell
+ */
+function expectedBy(stored, entry, job) {
+    const margin = (config.overdue_margin_days || 0) * DAY_MS;
+
+    const eta = stored.estimated_delivery && parseTime(stored.estimated_delivery.to || stored.estimated_delivery.from);
+    if (eta) return { at: eta + margin, source: 'carrier' };
+
+    // Oldest scan first, else when the fulfillment was created
+    const events = stored.events || [];
+    const shippedAt = (events.length > 0 && parseTime(events[events.length - 1].time))
+        || (job && parseTime(job.shipped_at || job.added_at));
+    if (!shippedAt) return null;
+
+    const destination = entry && entry.destination;
+    const window = getHistoricalWindow(stored.carrier, destination);
+    if (window) return { at: shippedAt + window.max * DAY_MS + margin, source: 'history' };
+
+    const transitDays = transitDaysFor(destination);
+    return transitDays > 0 ? { at: shippedAt + transitDays * DAY_MS + margin, source: 'config' } : null;
+}
+
+/**
+ * Flags raised by one shipment. `stored` is the tracking store entry (null while the provider
+ * knows nothing about the number), `job` the refresher job if any.
+ */
+function evaluate(stored, entry, job, now = Date.now()) {
+    const flags = [];
+    const status = stored ? shipmentStatus.normalize(stored.status) : null;
+    if (status === STATUS.DELIVERED || (stored && stored.stopped)) return flags;
+
+    const latest = stored && stored.events && stored.events[0];
+    const lastScan = (latest && parseTime(latest.time))
+        || (job && parseTime(job.shipped_at || job.added_at))
+        || (stored && parseTime(stored.updated_at));
+
+    // 1. No new scan
+    if (lastScan && now - lastScan > config.no_scan_days * DAY_MS) {
+        flags.push({
+            rule: 'no_scan',
+            detail: latest ? `No carrier scan for ${days(now - lastScan)} days` : `No carrier information ${days(now - lastScan)} days after shipping`,
+            since: new Date(lastScan).toISOString()
+        });
+    }
+
+    // 2. Problem statuses
+    if (status && config.statuses.includes(status)) {
+        flags.push({ rule: 'status', detail: stored.status_text || status, since: latest ? latest.time : stored.updated_at });
+    }
+
+    // 3. Keyword rules on the latest event
+    const customs = status === STATUS.CUSTOMS_HOLD ? 'customs_hold status' : matchKeyword('customs_hold', latest);
+    if (customs) {
+        flags.push({ rule: 'customs_hold', detail: latest ? latest.desc : customs, since: latest ? latest.time : stored.updated_at });
+    }
+    if (matchKeyword('address_problem', latest)) {
+        flags.push({ rule: 'address_problem', detail: latest.desc, since: latest.time });
+    }
+
+    // 4. Past the expected transit time
+    if (stored && status !== STATUS.RETURNED_TO_SENDER && status !== STATUS.EXPIRED) {
+        const expected = expectedBy(stored, entry, job);
+        if (expected && now > expected.at) {
+            flags.push({
+                rule: 'overdue',
+                detail: `${days(now - expected.at) + 1} day(s) past the expected delivery (${expected.source})`,
+                since: new Date(expected.at).toISOString()
+            });
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Re-check one tracking number and update its alert; returns the alert or null
+ */
+function check(tracking) {
+    const stored = trackingStore.getTracking(tracking);
+    const entry = orderIndex.getEntry(tracking);
+    const job = refresher.getJob(tracking);
+    const flags = evaluate(stored, entry, job);
+    const previous = alerts.get(tracking);
+    const now = new Date().toISOString();
+
+    if (flags.length === 0) {
+        if (!previous || previous.state === 'resolved') return previous || null;
+        logger.info('Alert resolved', { tracking });
+        return alerts.set(tracking, { ...previous, flags: [], state: 'resolved', resolved_at: now, updated_at: now });
+    }
+
+    const reopened = !previous || previous.state === 'resolved';
+    const known = reopened ? [] : previous.flags.map(f => f.rule);
+    const raised = flags.filter(f => !known.includes(f.rule)).map(f => f.rule);
+    if (!reopened && raised.length === 0 && JSON.stringify(previous.flags) === JSON.stringify(flags)) return previous;
+
+    if (raised.length > 0) {
+        logger.info('Alert raised', { tracking, rules: raised });
+    }
+
+    return alerts.set(tracking, {
+        tracking,
+        shop: (entry && entry.shop) || (job && job.shop) || null,
+        order: (entry && entry.order_name) || (job && job.order) || null,
+        carrier: (stored && stored.carrier) || (job && job.carrier) || null,
+        status: stored ? shipmentStatus.normalize(stored.status) : null,
+        // A new kind of problem needs a fresh look even if the alert was acknowledged
+        state: reopened || raised.length > 0 ? 'open' : previous.state,
+        flags,
+        first_flagged_at: reopened ? now : previous.first_flagged_at,
+        updated_at: now,
+        resolved_at: null,
+        notified_rules: reopened ? [] : previous.notified_rules.filter(rule => flags.some(f => f.rule === rule))
+    });
+}
+
+/**
+ * Every followed shipment: stored numbers plus refresher jobs the providers know nothing about yet
+ */
+function sweep() {
+    const numbers = new Set(trackingStore.store.keys());
+    refresher.listJobs().filter(job => !job.done_at).forEach(job => numbers.add(job.tracking));
+    // Alerts whose number left both (e.g. store cleanup) still get resolved
+    alerts.keys().forEach(tracking => numbers.add(tracking));
+
+    let flagged = 0;
+    numbers.forEach(tracking => {
+        const alert = check(tracking);
+        if (alert && alert.state !== 'resolved') flagged++;
+    });
+    return flagged;
+}
+
+/**
+ * =========================
+ * Digest
+ * =========================
+ */
+function digestText(entries) {
+    return entries.map(a => {
+        const lines = a.flags.map(f => `  - ${f.rule}: ${f.detail}`).join('\n');
+        return `${a.tracking} (${a.order || 'no order'}, ${a.shop || 'unknown shop'}, ${a.carrier || 'unknown carrier'})\n${lines}`;
+    }).join('\n\n');
+}
+
+async function sendDigest() {
+    const pending = alerts.values()
+        .filter(a => a.state === 'open' && a.flags.some(f => !a.notified_rules.includes(f.rule)));
+    if (pending.length === 0 || (!ALERT_WEBHOOK_URL && !ALERT_EMAIL_TO)) return 0;
+
+    const sentAt = new Date().toISOString();
+    if (ALERT_WEBHOOK_URL) {
+        const body = JSON.stringify({ event: 'alerts.digest', sent_at: sentAt, alerts: pending });
+        const headers = { 'Content-Type': 'application/json' };
+        if (ALERT_WEBHOOK_SECRET) {
+            headers['X-Signature'] = `sha256=${crypto.createHmac('sha256', ALERT_WEBHOOK_SECRET).update(body).digest('hex')}`;
+        }
+        await axios.post(ALERT_WEBHOOK_URL, body, { headers, timeout: 10000 });
+    }
+    if (ALERT_EMAIL_TO && email.isConfigured()) {
+        await email.send({
+            contact: { email: ALERT_EMAIL_TO },
+            subject: `${pending.length} shipment(s) need attention`,
+            text: digestText(pending)
+        });
+    }
+
+    // Only after a successful send, so a failed digest is retried next time
+    pending.forEach(a => alerts.set(a.tracking, { ...a, notified_rules: a.flags.map(f => f.rule), notified_at: sentAt }));
+    logger.info('Digest sent', { shipments: pending.length });
+    return pending.length;
+}
+
+/**
+ * Sweep all shipments, then send the digest; resolves { flagged, notified }
+ */
+async function runOnce() {
+    const flagged = sweep();
+    let notified = 0;
+    try {
+        notified = await sendDigest();
+    } catch (error) {
+        logger.error('Digest failed', { error });
+    }
+    return { flagged, notified };
+}
+
+/**
+ * =========================
+ * Support feed
+ * =========================
+ */
+function listAlerts({ shop, rule, state } = {}) {
+    return alerts.values()
+        .filter(a => !shop || a.shop === shop)
+        .filter(a => state ? a.state === state : a.state !== 'resolved')
+        .filter(a => !rule || a.flags.some(f => f.rule === rule))
+        .sort((a, b) => (a.first_flagged_at < b.first_flagged_at ? 1 : -1));
+}
+
+function getAlert(tracking) {
+    return alerts.get(tracking) || null;
+}
+
+/**
+ * Mark an open alert as seen; it reopens when a new rule fires
+ */
+function acknowledge(tracking, shop) {
+    const alert = alerts.get(tracking);
+    if (!alert || (shop && alert.shop !== shop)) {
+        return { ok: false, code: 'TRACKING_NOT_FOUND', error: 'No alert for this tracking number.' };
+    }
+    if (alert.state === 'resolved') {
+        return { ok: false, code: 'INVALID_REQUEST', error: 'This alert is already resolved.' };
+    }
+    return { ok: true, alert: alerts.set(tracking, { ...alert, state: 'acknowledged', acknowledged_at: new Date().toISOString() }) };
+}
+
+/**
+ * Check numbers as they change and schedule the sweep + digest
+ */
+function start() {
+    if (started) return;
+    started = true;
+
+    trackingStore.onTrackingChange((previous, entry) => {
+        check(entry.tracking);
+    });
+
+    if (!(DIGEST_MINUTES > 0)) {
+        logger.info('Scheduled sweep disabled (ALERT_DIGEST_MINUTES=0)');
+        return;
+    }
+
+    const tick = () => {
+        runOnce().finally(() => {
+            timer = setTimeout(tick, DIGEST_MINUTES * 60 * 1000);
+            if (timer.unref) timer.unref();
+        });
+    };
+    timer = setTimeout(tick, 60 * 1000);
+    if (timer.unref) timer.unref();
+    logger.info('Scheduled sweep and digest', { interval_minutes: DIGEST_MINUTES });
+}
+
+function stop() {
+    clearTimeout(timer);
+    timer = null;
+}
+
+module.exports = { start, stop, runOnce, check, evaluate, listAlerts, getAlert, acknowledge, loadConfig, RULES, STATES };
@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const readline = require('readline');
+const { DATA_DIR } = require('../utils/jsonStore');
+const { normalizeShop } = require('./shopStore');
+const logger = require('../logger').child({ component: 'Analytics' });
+
+/**
+ * =========================
+ * Tracking Page Analytics
+ * =========================
+ * One JSON line per customer action, appended to DATA_DIR/analytics/<YYYY-MM-DD>.jsonl:
+ *
+ *   lookup:    { at, type, shop, source: page | api, mode: order | tracking, outcome: found | <error code>,
+ *                latency_ms, lang, order, tracking, email_hash, packages: [{ carrier, status }] }
+ *   translate: { at, type, shop, tracking, lang, outcome, latency_ms, carrier, status }
+ *
+ * Emails are never written: email_hash is an HMAC (ANALYTICS_SECRET, else SHOPIFY_APP_SECRET) of
+ * the lowercased address, enough to count repeat visitors. Without either secret email_hash
+ * stays null (an unkeyed hash could be reversed by hashing guesses). Files older than
+ * ANALYTICS_RETENTION_DAYS (default 90) are deleted on start; ANALYTICS_ENABLED=false turns
+ * recording off.
+ *
+ * report() aggregates a date range: lookups per day, top failure reasons, "where is my order"
+ * volume by carrier and status, language switches and latency. Served at GET /admin/analytics
+ * and by `npm run analytics`.
+ */
+const ANALYTICS_DIR = path.join(DATA_DIR, 'analytics');
+const ENABLED = process.env.ANALYTICS_ENABLED !== 'false';
+const RETENTION_DAYS = parseInt(process.env.ANALYTICS_RETENTION_DAYS, 10) || 90;
+const SECRET = process.env.ANALYTICS_SECRET || process.env.SHOPIFY_APP_SECRET || null;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+let writing = Promise.resolve();
+
+function hashEmail(email) {
+    if (!email || !SECRET) return null;
+    return crypto.createHmac('sha256', SECRET).update(String(email).trim().toLowerCase()).digest('hex').slice(0, 32);
+}
+
+function dayOf(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function fileFor(day) {
+    return path.join(ANALYTICS_DIR, `${day}.jsonl`);
+}
+
+/**
+ * Append one event; writes are queued so lines never interleave, and failures only log
+ */
+function record(event) {
+    if (!ENABLED) return writing;
+
+    const at = new Date();
+    const line = JSON.stringify({ at: at.toISOString(), ...event }) + '\n';
+    writing = writing
+        .then(() => fs.promises.mkdir(ANALYTICS_DIR, { recursive: true }))
+        .then(() => fs.promises.appendFile(fileFor(dayOf(at)), line))
+        .catch(e => logger.error('Failed to record event', { error: e }));
+    return writing;
+}
+
+/**
+ * A finished customer lookup. `result` is what lookupService resolved.
+ */
+function recordLookup({ mode, source, shop, lang, order, tracking, email, startedAt }, result) {
+    return record({
+        type: 'lookup',
+        shop: shop || null,
+        source: source || 'page',
+        mode,
+        outcome: result.ok ? 'found' : (result.code || 'INTERNAL_ERROR'),
+        latency_ms: Date.now() - startedAt,
+        lang: lang || null,
+        order: result.ok ? result.order.name : (order || null),
+        tracking: tracking || null,
+        email_hash: hashEmail(email),
+        packages: result.ok
+            ? result.packages.map(p => ({ carrier: p.carrier || p.tracking_company || null, status: p.status || null }))
+            : []
+    });
+}
+
+/**
+ * A language switch on the tracking page (POST /proxy/track/translate)
+ */
+function recordTranslation({ shop, tracking, lang, startedAt }, result) {
+    return record({
+        type: 'translate',
+        shop: shop || null,
+        tracking,
+        lang,
+        outcome: result.ok ? 'found' : (result.code || 'INTERNAL_ERROR'),
+        latency_ms: Date.now() - startedAt,
+        carrier: result.carrier || null,
+        status: result.status || null
+    });
+}
+
+// Resolves once queued events are on disk (CLI scripts)
+function flush() {
+    return writing;
+}
+
+/**
+ * Delete day files past the retention window
+ */
+async function prune() {
+    const cutoff = dayOf(new Date(Date.now() - RETENTION_DAYS * DAY_MS));
+    let files = [];
+    try {
+        files = await fs.promises.readdir(ANALYTICS_DIR);
+    } catch (e) {
+        return 0;
+    }
+
+    const expired = files.filter(f => f.endsWith('.jsonl') && f.slice(0, 10) < cutoff);
+    await Promise.all(expired.map(f => fs.promises.unlink(path.join(ANALYTICS_DIR, f)).catch(() => {})));
+    if (expired.length > 0) logger.info('Deleted old day files', { files: expired.length, retention_days: RETENTION_DAYS });
+    return expired.length;
+}
+
+function start() {
+    if (!ENABLED) {
+        logger.info('Recording disabled (ANALYTICS_ENABLED=false)');
+        return;
+    }
+    if (!SECRET) {
+        logger.warn('No ANALYTICS_SECRET or SHOPIFY_APP_SECRET: emails are not hashed, unique customers are not counted');
+    }
+    prune().catch(e => logger.error('Prune failed', { error: e }));
+}
+
+/**
+ * =========================
+ * Report
+ * =========================
+ */
+async function readDay(day, onEvent) {
+    const file = fileFor(day);
+    if (!fs.existsSync(file)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+        if (!line.trim()) continue;
+        try {
+            onEvent(JSON.parse(line));
+        } catch (e) {
+            // A line cut short by a crash; skip it
+        }
+    }
+}
+
+function increment(counts, key) {
+    counts[key] = (counts[key] || 0) + 1;
+}
+
+function ranked(counts, name) {
+    return Object.entries(counts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([key, count]) => ({ [name]: key, count }));
+}
+
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    return sorted[Math.min(sorted.length - 1, Math.round((sorted.length - 1) * p))];
+}
+
+/**
+ * Aggregate events between `from` and `to` (YYYY-MM-DD, inclusive; default the last 30 days),
+ * optionally for one shop. Resolves { ok, report } or { ok: false, code, error }.
+ */
+async function report({ from, to, shop } = {}) {
+    shop = shop ? normalizeShop(shop) : null;
+    // Checked before any date math: new Date('abc') throws on toISOString()
+    const isDate = (value) => DATE_RE.test(value) && !isNaN(new Date(value).getTime());
+    if ((to && !isDate(to)) || (from && !isDate(from))) {
+        return { ok: false, code: 'INVALID_REQUEST', error: 'from and to must be dates (YYYY-MM-DD), from <= to' };
+    }
+
+    const end = to || dayOf(new Date());
+    const start = from || dayOf(new Date(new Date(end).getTime() - 29 * DAY_MS));
+    if (start > end) {
+        return { ok: false, code: 'INVALID_REQUEST', error: 'from and to must be dates (YYYY-MM-DD), from <= to' };
+    }
+    if ((new Date(end) - new Date(start)) / DAY_MS >= 366) {
+        return { ok: false, code: 'INVALID_REQUEST', error: 'The range can be at most one year' };
+    }
+
+    const days = [];
+    const failures = {};
+    const carriers = {};
+    const statuses = {};
+    const languages = {};
+    const modes = {};
+    const emails = new Set();
+    const latencies = [];
+
+    for (let time = new Date(start).getTime(); time <= new Date(end).getTime(); time += DAY_MS) {
+        const day = dayOf(new Date(time));
+        const totals = { date: day, lookups: 0, found: 0, not_found: 0, errors: 0, translations: 0 };
+
+        await readDay(day, event => {
+            if (shop && event.shop !== shop) return;
+
+            if (event.type === 'translate') {
+                totals.translations++;
+                increment(languages, event.lang);
+                return;
+            }
+            if (event.type !== 'lookup') return;
+
+            totals.lookups++;
+            increment(modes, `${event.source}:${event.mode}`);
+            latencies.push(event.latency_ms);
+            if (event.email_hash) emails.add(event.email_hash);
+
+            if (event.outcome === 'found') {
+                totals.found++;
+                event.packages.forEach(p => {
+                    increment(carriers, p.carrier || 'Unknown');
+                    increment(statuses, p.status || 'unknown');
+                });
+            } else {
+                increment(failures, event.outcome);
+                if (event.outcome === 'ORDER_NOT_FOUND' || event.outcome === 'TRACKING_NOT_FOUND') totals.not_found++;
+                else totals.errors++;
+            }
+        });
+        days.push(totals);
+    }
+
+    latencies.sort((a, b) => a - b);
+    const lookups = days.reduce((sum, d) => sum + d.lookups, 0);
+
+    return {
+        ok: true,
+        report: {
+            from: start,
+            to: end,
+            shop: shop || null,
+            lookups,
+            found: days.reduce((sum, d) => sum + d.found, 0),
+            unique_customers: emails.size,
+            latency_ms: { p50: percentile(latencies, 0.5), p95: percentile(latencies, 0.95) },
+            modes: ranked(modes, 'mode'),
+            failure_reasons: ranked(failures, 'code'),
+            by_carrier: ranked(carriers, 'carrier'),
+            by_status: ranked(statuses, 'status'),
+            languages: ranked(languages, 'lang'),
+            days
+        }
+    };
+}
+
+module.exports = { start, recordLookup, recordTranslation, report, prune, flush, hashEmail };
@@ -0,0 +1,220 @@
+const trackingStore = require('../utils/trackingStore');
+const shopStore = require('./shopStore');
+const orderIndex = require('./orderIndex');
+const refresher = require('./refresher');
+const whiteLabel = require('./whiteLabel');
+const notifications = require('./notifications');
+const alerts = require('./alerts');
+const { findOrderByName, findOrderByTrackingNumber } = require('./shopifyService');
+const { pullTracking, invalidateShopTrackingCache } = require('./trackingService');
+const { getProvider, getProvidersFor } = require('./providers');
+const { TARGET_LANGUAGES } = require('./translation');
+const logger = require('../logger').child({ component: 'Dashboard' });
+
+/**
+ * =========================
+ * Merchant Dashboard
+ * =========================
+ * What the embedded admin (routes/dashboard.js) can see and do, always for one shop:
+ * search orders and tracking numbers, compare the raw provider response with our normalized
+ * data, work through exception and delay alerts, force a refresh or re-registration, and edit settings.
+ *
+ * Results follow the lookup convention: { ok: true, ... } or { ok: false, code, error }.
+ */
+/**
+ * "#1001" is an order name. Bare digits ("1001") may be an order name or an all-numeric
+ * tracking number (e.g. 12-digit FedEx), so they try the order first, then the tracking number.
+ */
+async function findOrderForQuery(shop, query) {
+    if (query.startsWith('#')) return findOrderByName(query, shop);
+    if (/^\d{1,12}$/.test(query)) {
+        const byName = await findOrderByName(query, shop);
+        if (byName.ok || byName.code !== 'ORDER_NOT_FOUND') return byName;
+    }
+    return findOrderByTrackingNumber(query, shop);
+}
+
+function shopOf(tracking) {
+    const indexed = orderIndex.getEntry(tracking);
+    const job = refresher.getJob(tracking);
+    return (indexed && indexed.shop) || (job && job.shop) || null;
+}
+
+/**
+ * Only let a shop act on its own tracking numbers
+ */
+async function belongsToShop(shop, tracking) {
+    if (shopOf(tracking) === shop) return true;
+    const result = await findOrderByTrackingNumber(tracking, shop);
+    return result.ok;
+}
+
+function packageDetails(pkg) {
+    const tracking = pkg.tracking_number;
+    if (!tracking || tracking === 'Processing') return { ...pkg, stored: null, job: null };
+    return { ...pkg, stored: trackingStore.getTracking(tracking), job: refresher.getJob(tracking) };
+}
+
+/**
+ * Find an order by name or by one of its tracking numbers, with our stored data per package
+ */
+async function search(shop, query) {
+    const q = String(query || '').trim();
+    if (!q) {
+        return { ok: false, code: 'INVALID_REQUEST', error: 'Enter an order or tracking number.' };
+    }
+
+    const result = await findOrderForQuery(shop, q);
+    if (!result.ok) return result;
+
+    orderIndex.rememberOrder(result.order, shop);
+    return { ok: true, order: result.order, packages: result.order.packages.map(packageDetails) };
+}
+
+/**
+ * One tracking number: our normalized data next to the provider's raw response (fetched live)
+ */
+async function trackingDetails(shop, tracking) {
+    if (!(await belongsToShop(shop, tracking))) {
+        return { ok: false, code: 'TRACKING_NOT_FOUND', error: 'No order of this shop has this tracking number.' };
+    }
+
+    const stored = trackingStore.getTracking(tracking);
+    const job = refresher.getJob(tracking);
+    const carrier = (job && job.carrier) || (orderIndex.getEntry(tracking) || {}).carrier;
+    const provider = (stored && getProvider(stored.provider)) || getProvidersFor(carrier)[0];
+
+    const details = { ok: true, tracking, normalized: stored, job, provider: provider ? provider.name : null, raw: null, raw_error: null };
+    if (!provider) {
+        details.raw_error = 'No tracking provider configured';
+        return details;
+    }
+
+    try {
+        const response = await provider.fetch(tracking);
+        details.raw = response.found ? response.raw : null;
+        if (!response.found) details.raw_error = `${provider.name} does not know this number`;
+    } catch (error) {
+        details.raw_error = error.message;
+    }
+    return details;
+}
+
+/**
+ * Pull a number from its provider now, bypassing the refresher schedule
+ */
+async function forceRefresh(shop, tracking) {
+    if (!(await belongsToShop(shop, tracking))) {
+        return { ok: false, code: 'TRACKING_NOT_FOUND', error: 'No order of this shop has this tracking number.' };
+    }
+
+    const job = refresher.getJob(tracking);
+    const lookup = await pullTracking(tracking, (job && job.carrier) || (orderIndex.getEntry(tracking) || {}).carrier);
+    if (!lookup.ok) {
+        return { ok: false, code: 'UPSTREAM_ERROR', error: lookup.error };
+    }
+    return { ok: true, registered: lookup.registered || null, stored: trackingStore.getTracking(tracking) };
+}
+
+/**
+ * Register a number with its provider again (e.g. after a carrier correction), then pull it
+ */
+async function reRegister(shop, tracking) {
+    if (!(await belongsToShop(shop, tracking))) {
+        return { ok: false, code: 'TRACKING_NOT_FOUND', error: 'No order of this shop has this tracking number.' };
+    }
+
+    const stored = trackingStore.getTracking(tracking);
+    const carrier = (orderIndex.getEntry(tracking) || {}).carrier;
+    const provider = (stored && getProvider(stored.provider)) || getProvidersFor(carrier)[0];
+    if (!provider) {
+        return { ok: false, code: 'UPSTREAM_ERROR', error: 'No tracking provider configured' };
+    }
+
+    const registration = await provider.register(tracking).catch(error => ({ ok: false, error: error.message }));
+    if (!registration.ok) {
+        return { ok: false, code: 'UPSTREAM_ERROR', error: registration.error };
+    }
+
+    logger.info('Tracking number re-registered', { shop, tracking, provider: provider.name });
+    const refreshed = await forceRefresh(shop, tracking);
+    return { ok: true, provider: provider.name, stored: refreshed.ok ? refreshed.stored : stored };
+}
+
+/**
+ * Open alerts of a shop (services/alerts.js), optionally for one rule or state
+ */
+function listAlerts(shop, { rule, state } = {}) {
+    if (rule && !alerts.RULES.includes(rule)) {
+        return { ok: false, code: 'INVALID_REQUEST', error: `Rule must be one of: ${alerts.RULES.join(', ')}` };
+    }
+    if (state && !alerts.STATES.includes(state)) {
+        return { ok: false, code: 'INVALID_REQUEST', error: `State must be one of: ${alerts.STATES.join(', ')}` };
+    }
+    return { ok: true, rules: alerts.RULES, alerts: alerts.listAlerts({ shop, rule, state }) };
+}
+
+function acknowledgeAlert(shop, tracking) {
+    return alerts.acknowledge(tracking, shop);
+}
+
+/**
+ * =========================
+ * Settings
+ * =========================
+ * Per shop: translation languages offered on the track page, notification toggles and
+ * white-label rules (null: the app-wide config/white-label.json, shown as white_label_default).
+ */
+function getSettings(shop) {
+    const settings = shopStore.getShopSettings(shop);
+    const toggles = settings.notifications || {};
+    return {
+        languages: settings.languages || TARGET_LANGUAGES.map(l => l.code),
+        available_languages: TARGET_LANGUAGES,
+        notifications: Object.fromEntries(notifications.EVENT_NAMES.map(event => [event, toggles[event] !== false])),
+        white_label: whiteLabel.getShopConfig(shop),
+        white_label_default: whiteLabel.getConfig()
+    };
+}
+
+async function saveSettings(shop, input) {
+    if (!input || typeof input !== 'object') {
+        return { ok: false, code: 'INVALID_REQUEST', error: 'Settings must be an object' };
+    }
+
+    const changes = {};
+    if (input.languages !== undefined) {
+        const codes = TARGET_LANGUAGES.map(l => l.code);
+        if (!Array.isArray(input.languages) || input.languages.length === 0 || input.languages.some(code => !codes.includes(code))) {
+            return { ok: false, code: 'INVALID_REQUEST', error: 'Pick at least one supported language' };
+        }
+        changes.languages = input.languages;
+    }
+    if (input.notifications !== undefined) {
+        const toggles = input.notifications;
+        if (!toggles || typeof toggles !== 'object' || Object.keys(toggles).some(event => !notifications.EVENT_NAMES.includes(event))) {
+            return { ok: false, code: 'INVALID_REQUEST', error: `Notification toggles must be among: ${notifications.EVENT_NAMES.join(', ')}` };
+        }
+        changes.notifications = Object.fromEntries(Object.entries(toggles).map(([event, on]) => [event, !!on]));
+    }
+
+    // Checked up front so a bad rule set saves nothing
+    if (input.white_label !== undefined && input.white_label !== null) {
+        const result = whiteLabel.validateConfig(input.white_label);
+        if (!result.ok) {
+            return { ok: false, code: 'INVALID_REQUEST', error: result.error };
+        }
+    }
+
+    if (Object.keys(changes).length > 0) {
+        shopStore.updateShopSettings(shop, changes);
+    }
+    if (input.white_label !== undefined) {
+        whiteLabel.saveShopConfig(shop, input.white_label);
+        // This shop's cached results were rendered with the old rules
+        await invalidateShopTrackingCache(shop);
+    }
+    return { ok: true, settings: getSettings(shop) };
+}
+
+module.exports = { search, trackingDetails, forceRefresh, reRegister, listAlerts, acknowledgeAlert, getSettings, saveSettings };
@@ -0,0 +1,127 @@
+const { createJsonStore } = require('../utils/jsonStore');
+const { STATUS, normalize } = require('../utils/shipmentStatus');
+
+/**
+ * Estimated delivery windows.
+ * Prefer the carrier's own estimate; otherwise use historical transit times
+ * (days from first scan to delivery) per carrier + destination country.
+ */
+const transitStats = createJsonStore('transit_stats');
+// Tracking numbers already counted, so repeat page views don't skew the stats
+const recorded = createJsonStore('transit_recorded');
+
+const MIN_SAMPLES = 5;
+const MAX_SAMPLES = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function statsKey(carrier, country) {
+    return `${String(carrier || 'unknown').toLowerCase()}|${String(country || 'unknown').toLowerCase()}`;
+}
+
+function parseTime(value) {
+    const date = new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Events are newest-first, so the oldest scan is the last one
+ */
+function getShippedAt(events) {
+    if (!events || events.length === 0) return null;
+    return parseTime(events[events.length - 1].time);
+}
+
+function getDeliveredAt(events) {
+    if (!events || events.length === 0) return null;
+    return parseTime(events[0].time);
+}
+
+function percentile(sorted, p) {
+    const index = Math.min(sorted.length - 1, Math.max(0, Math.round((sorted.length - 1) * p)));
+    return sorted[index];
+}
+
+/**
+ * Remember how long a delivered shipment took
+ */
+function recordTransit(trackingNumber, carrier, country, events) {
+    if (!trackingNumber || recorded.has(trackingNumber)) return;
+
+    const shippedAt = getShippedAt(events);
+    const deliveredAt = getDeliveredAt(events);
+    if (!shippedAt || !deliveredAt || deliveredAt <= shippedAt) return;
+
+    const days = (deliveredAt - shippedAt) / DAY_MS;
+    const key = statsKey(carrier, country);
+    const samples = transitStats.get(key) || [];
+    samples.push(Math.round(days * 10) / 10);
+    transitStats.set(key, samples.slice(-MAX_SAMPLES));
+    recorded.set(trackingNumber, true);
+}
+
+/**
+ * Typical transit window in days ({ min, max }) for a carrier/country,
+ * falling back to all carriers for that country.
+ */
+function getHistoricalWindow(carrier, country) {
+    let samples = transitStats.get(statsKey(carrier, country)) || [];
+
+    if (samples.length < MIN_SAMPLES) {
+        const countrySuffix = `|${String(country || 'unknown').toLowerCase()}`;
+        samples = transitStats.keys()
+            .filter(k => k.endsWith(countrySuffix))
+            .reduce((all, k) => all.concat(transitStats.get(k)), []);
+    }
+
+    if (samples.length < MIN_SAMPLES) return null;
+
+    const sorted = [...samples].sort((a, b) => a - b);
+    return { min: percentile(sorted, 0.25), max: percentile(sorted, 0.8) };
+}
+
+/**
+ * Estimated delivery window for a package.
+ * Returns { from, to, source: 'carrier' | 'history' } (ISO strings) or null.
+ *
+ * `pkg` is the enriched package (status, carrier, events, estimated_delivery),
+ * `order` supplies destination and created_at.
+ */
+function estimateDelivery(pkg, order) {
+    if (!pkg || !order) return null;
+
+    const status = normalize(pkg.status);
+    const carrier = pkg.carrier || pkg.tracking_company;
+
+    if (status === STATUS.DELIVERED) {
+        recordTransit(pkg.tracking_number, carrier, order.destination, pkg.events);
+        return null;
+    }
+
+    if ([STATUS.ORDERED, STATUS.RETURNED_TO_SENDER, STATUS.EXPIRED].includes(status)) {
+        return null;
+    }
+
+    // 1. Carrier / provider estimate
+    if (pkg.estimated_delivery && pkg.estimated_delivery.from) {
+        return pkg.estimated_delivery;
+    }
+
+    // 2. Historical transit times
+    const window = getHistoricalWindow(carrier, order.destination);
+    if (!window) return null;
+
+    const start = getShippedAt(pkg.events) || parseTime(order.created_at);
+    if (!start) return null;
+
+    let from = new Date(start.getTime() + window.min * DAY_MS);
+    const to = new Date(start.getTime() + window.max * DAY_MS);
+
+    // Don't promise a date that has already passed
+    const today = new Date();
+    if (to < today) return null;
+    if (from < today) from = today;
+
+    return { from: from.toISOString(), to: to.toISOString(), source: 'history' };
+}
+
+module.exports = { estimateDelivery, recordTransit, getHistoricalWindow };
@@ -0,0 +1,172 @@
+const fs = require('fs');
+const { DATA_DIR } = require('../utils/jsonStore');
+const cache = require('../utils/cache');
+const metrics = require('../utils/metrics');
+const shopStore = require('./shopStore');
+const { getProvider, getProvidersFor } = require('./providers');
+const { shopifyGraphql } = require('./shopifyService');
+const { getBreakerStates } = require('./trackingService');
+
+/**
+ * =========================
+ * Health & Readiness
+ * =========================
+ * readiness() backs GET /readyz. Configuration checks always run; with `upstream` (?upstream=1,
+ * or READYZ_CHECK_UPSTREAM=true) Shopify and 17TRACK are called too, at most once per
+ * UPSTREAM_CHECK_SECONDS (default 30) so frequent probes don't turn into API traffic.
+ *
+ * A check is { name, ok, critical, detail }. The app is ready when every critical check passes:
+ * without Shopify credentials or the app secret no page can be served, while a 17TRACK outage or
+ * exhausted quota still leaves stored results (reported, but not critical).
+ */
+const UPSTREAM_CHECK_MS = (parseInt(process.env.UPSTREAM_CHECK_SECONDS, 10) || 30) * 1000;
+const UPSTREAM_TIMEOUT_MS = 5000;
+
+let upstreamChecked = null; // { at, checks }
+let quota = null; // last 17TRACK quota seen: { at, total, used, remaining }
+
+function withTimeout(promise, ms, label) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`${label} timed out after ${ms} ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function configChecks() {
+    const envShop = shopStore.resolveShop(null);
+    const installed = shopStore.listShops().length;
+    const providers = getProvidersFor(null).map(p => p.name);
+
+    let dataDirOk = true;
+    let dataDirDetail = DATA_DIR;
+    try {
+        await fs.promises.mkdir(DATA_DIR, { recursive: true });
+        await fs.promises.access(DATA_DIR, fs.constants.W_OK);
+    } catch (e) {
+        dataDirOk = false;
+        dataDirDetail = e.message;
+    }
+
+    return [
+        {
+            name: 'shopify_app_secret',
+            ok: !!process.env.SHOPIFY_APP_SECRET,
+            critical: true,
+            detail: process.env.SHOPIFY_APP_SECRET ? 'set' : 'SHOPIFY_APP_SECRET missing (App Proxy signatures and webhooks are rejected)'
+        },
+        {
+            name: 'shopify_credentials',
+            ok: !!(envShop && shopStore.getShopCredentials(envShop)) || installed > 0,
+            critical: true,
+            detail: `${installed} installed shop(s)${envShop ? `, env store ${envShop}` : ''}`
+        },
+        {
+            name: 'tracking_providers',
+            ok: providers.length > 0,
+            critical: true,
+            detail: providers.length > 0 ? providers.join(', ') : 'no tracking provider configured (TRACK17_KEY / AFTERSHIP_API_KEY)'
+        },
+        { name: 'data_dir', ok: dataDirOk, critical: true, detail: dataDirDetail }
+    ];
+}
+
+/**
+ * 17TRACK quota, refreshed when older than `maxAgeMs`
+ */
+async function track17Quota(maxAgeMs = UPSTREAM_CHECK_MS) {
+    const track17 = getProvider('17track');
+    if (!track17 || !track17.isConfigured()) return null;
+    if (quota && Date.now() - quota.at < maxAgeMs) return { ok: true, ...quota };
+
+    const result = await track17.getQuota({ timeout: UPSTREAM_TIMEOUT_MS });
+    if (result.ok) {
+        quota = { at: Date.now(), total: result.total, used: result.used, remaining: result.remaining };
+    }
+    return result;
+}
+
+async function upstreamChecks() {
+    if (upstreamChecked && Date.now() - upstreamChecked.at < UPSTREAM_CHECK_MS) {
+        return upstreamChecked.checks;
+    }
+
+    const checks = [];
+
+    const envShop = shopStore.resolveShop(null) || (shopStore.listShops()[0] || {}).shop;
+    const creds = envShop && shopStore.getShopCredentials(envShop);
+    if (creds) {
+        try {
+            const data = await withTimeout(shopifyGraphql(creds, '{ shop { name } }'), UPSTREAM_TIMEOUT_MS, 'Shopify');
+            checks.push({ name: 'shopify_api', ok: true, critical: true, detail: `${envShop} (${data.shop.name})` });
+        } catch (error) {
+            checks.push({ name: 'shopify_api', ok: false, critical: true, detail: `${envShop}: ${error.message}` });
+        }
+    }
+
+    const result = await track17Quota(0);
+    if (result) {
+        const exhausted = result.ok && result.remaining <= 0;
+        checks.push({
+            name: 'track17_api',
+            ok: result.ok && !exhausted,
+            critical: false,
+            detail: result.ok ? `quota ${result.remaining} of ${result.total} remaining` : result.error
+        });
+    }
+
+    const open = Object.entries(getBreakerStates()).filter(([, state]) => state === 'open').map(([name]) => name);
+    checks.push({ name: 'provider_circuits', ok: open.length === 0, critical: false, detail: open.length > 0 ? `open: ${open.join(', ')}` : 'all closed' });
+
+    upstreamChecked = { at: Date.now(), checks };
+    return checks;
+}
+
+/**
+ * Resolves { ready, checks }
+ */
+async function readiness({ upstream = process.env.READYZ_CHECK_UPSTREAM === 'true' } = {}) {
+    const checks = await configChecks();
+    if (upstream) checks.push(...(await upstreamChecks()));
+    return { ready: checks.every(check => check.ok || !check.critical), checks };
+}
+
+/**
+ * =========================
+ * Gauges read at scrape time
+ * =========================
+ */
+metrics.gauge('cache_requests_total', 'Cache lookups by type and result (from cache.stats())', ['type', 'result'], () => {
+    const { byType } = cache.stats();
+    return Object.entries(byType).flatMap(([type, c]) => [
+        { labels: { type, result: 'hit' }, value: c.hits },
+        { labels: { type, result: 'miss' }, value: c.misses }
+    ]);
+}, { type: 'counter' });
+
+metrics.gauge('cache_hit_ratio', 'Cache hit ratio by type ("all" for every type)', ['type'], () => {
+    const stats = cache.stats();
+    return [
+        { labels: { type: 'all' }, value: stats.hitRatio },
+        ...Object.entries(stats.byType)
+            .filter(([, c]) => c.hits + c.misses > 0)
+            .map(([type, c]) => ({ labels: { type }, value: c.hits / (c.hits + c.misses) }))
+    ];
+});
+
+metrics.gauge('upstream_circuit_open', '1 while the circuit breaker of a tracking provider is open', ['upstream'], () =>
+    Object.entries(getBreakerStates()).map(([upstream, state]) => ({ labels: { upstream }, value: state === 'open' ? 1 : 0 })));
+
+metrics.gauge('track17_quota_remaining', 'Remaining 17TRACK tracking quota (last value seen)', [], () => (quota ? quota.remaining : null));
+
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', [], () => Math.round(process.uptime()));
+
+/**
+ * Prometheus text for GET /metrics (refreshes the 17TRACK quota every few minutes)
+ */
+async function renderMetrics() {
+    await track17Quota(5 * 60 * 1000).catch(() => null);
+    return metrics.render();
+}
+
+module.exports = { readiness, renderMetrics };
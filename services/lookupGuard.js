@@ -0,0 +1,151 @@
+const NodeCache = require('node-cache');
+const logger = require('../logger').child({ component: 'Security' });
+const { getChallenge } = require('../utils/challenge');
+const { resolveShop } = require('./shopStore');
+
+/**
+ * =========================
+ * Lookup Brute-Force Guard
+ * =========================
+ * Order numbers are sequential, so order + email (and bare tracking numbers) can be guessed.
+ * We count failed lookups per IP, per order number and per email, then:
+ *   1. slow down failed responses progressively,
+ *   2. require a challenge (proof-of-work / CAPTCHA) from an IP after a few failures,
+ *   3. lock out an IP, order number or email entirely for a while.
+ */
+const WINDOW_SECONDS = (parseInt(process.env.LOOKUP_FAILURE_WINDOW_MINUTES, 10) || 15) * 60;
+const LOCKOUT_SECONDS = (parseInt(process.env.LOOKUP_LOCKOUT_MINUTES, 10) || 30) * 60;
+const CHALLENGE_AFTER = parseInt(process.env.LOOKUP_CHALLENGE_AFTER, 10) || 3;
+const MAX_DELAY_MS = 8000;
+
+// Failures allowed per key type before lockout
+const MAX_FAILURES = {
+    ip: parseInt(process.env.LOOKUP_MAX_FAILURES_IP, 10) || 20,
+    order: parseInt(process.env.LOOKUP_MAX_FAILURES_ORDER, 10) || 5,
+    email: parseInt(process.env.LOOKUP_MAX_FAILURES_EMAIL, 10) || 10
+};
+
+const failures = new NodeCache({ stdTTL: WINDOW_SECONDS, checkperiod: 120 });
+const lockouts = new NodeCache({ stdTTL: LOCKOUT_SECONDS, checkperiod: 120 });
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+function maskEmail(email) {
+    const [user, domain] = String(email || '').split('@');
+    if (!domain) return '***';
+    return `${user.slice(0, 1)}***@${domain}`;
+}
+
+function logSecurityEvent(type, details) {
+    logger.warn(type, { security_event: type, ...details });
+}
+
+/**
+ * Keys a lookup attempt is counted against (order numbers and emails are per shop).
+ * The shop is resolved like the credential lookup does, so "Shop.myshopify.com",
+ * "https://shop.myshopify.com" and no shop at all share the env store's counters.
+ */
+function getKeys({ shop, ip, order, email }) {
+    const domain = resolveShop(shop);
+    const prefix = domain ? `${domain}:` : '';
+    const keys = [];
+    if (ip) keys.push({ type: 'ip', key: `ip:${ip}` });
+    if (order) keys.push({ type: 'order', key: `${prefix}order:${String(order).trim().replace(/^#/, '').toLowerCase()}` });
+    if (email) keys.push({ type: 'email', key: `${prefix}email:${String(email).trim().toLowerCase()}` });
+    return keys;
+}
+
+function getFailures(key) {
+    return failures.get(key) || 0;
+}
+
+/**
+ * Check whether a lookup may proceed.
+ * Resolves { allowed: true } or { allowed: false, code, error, retryAfter?, challenge? }
+ */
+function checkAttempt(ctx, challengeResponse) {
+    for (const { key } of getKeys(ctx)) {
+        const lockedUntil = lockouts.get(key);
+        if (lockedUntil) {
+            logSecurityEvent('lookup_blocked', { shop: ctx.shop, ip: ctx.ip, key: key.includes('email:') ? 'email' : key });
+            return {
+                allowed: false,
+                code: 'TOO_MANY_ATTEMPTS',
+                error: 'Too many failed attempts. Please try again later.',
+                retryAfter: Math.max(1, Math.ceil((lockedUntil - Date.now()) / 1000))
+            };
+        }
+    }
+
+    const ipFailures = ctx.ip ? getFailures(`ip:${ctx.ip}`) : 0;
+    if (ipFailures >= CHALLENGE_AFTER) {
+        const challenge = getChallenge();
+        if (!challenge.verify(challengeResponse)) {
+            return {
+                allowed: false,
+                code: 'CHALLENGE_REQUIRED',
+                error: 'Please complete the verification to continue.',
+                challenge: challenge.issue()
+            };
+        }
+    }
+
+    return { allowed: true };
+}
+
+/**
+ * Count a failed lookup, lock out keys over their limit and slow the response down
+ */
+async function recordFailure(ctx, reason) {
+    let highest = 0;
+
+    for (const { type, key } of getKeys(ctx)) {
+        const count = getFailures(key) + 1;
+        failures.set(key, count);
+        highest = Math.max(highest, count);
+
+        if (count >= MAX_FAILURES[type]) {
+            lockouts.set(key, Date.now() + LOCKOUT_SECONDS * 1000);
+            failures.del(key);
+            logSecurityEvent('lookup_lockout', { shop: ctx.shop, ip: ctx.ip, type, failures: count });
+        }
+    }
+
+    logSecurityEvent('lookup_failed', {
+        shop: ctx.shop,
+        ip: ctx.ip,
+        mode: ctx.tracking ? 'tracking' : 'order',
+        order: ctx.order,
+        email: ctx.email ? maskEmail(ctx.email) : undefined,
+        tracking: ctx.tracking,
+        reason,
+        failures: highest
+    });
+
+    // Progressive delay: 0.5s, 1s, 2s, 4s... capped
+    if (highest > 1) {
+        await delay(Math.min(250 * Math.pow(2, highest - 1), MAX_DELAY_MS));
+    }
+}
+
+/**
+ * A successful lookup clears the order/email counters (not the IP's)
+ */
+function recordSuccess(ctx) {
+    getKeys({ shop: ctx.shop, order: ctx.order, email: ctx.email }).forEach(({ key }) => failures.del(key));
+}
+
+/**
+ * Lookup context from an HTTP request: shop, caller IP, UI locale and any challenge answer
+ * (challenge_salt + challenge_solution query params)
+ */
+function getRequestContext(req) {
+    return {
+        shop: req.query.shop,
+        ip: req.ip,
+        locale: req.locale,
+        challenge: { salt: req.query.challenge_salt, solution: req.query.challenge_solution }
+    };
+}
+
+module.exports = { getRequestContext, checkAttempt, recordFailure, recordSuccess, logSecurityEvent };
@@ -0,0 +1,244 @@
+const { getTrackingInfo } = require('./trackingService');
+const { getOrderByNameAndEmail, findOrderByTrackingNumber } = require('./shopifyService');
+const { estimateDelivery } = require('./deliveryEstimate');
+const lookupGuard = require('./lookupGuard');
+const whiteLabel = require('./whiteLabel');
+const { STATUS } = require('../utils/shipmentStatus');
+const { resolveShop } = require('./shopStore');
+const notifications = require('./notifications');
+const orderIndex = require('./orderIndex');
+const analytics = require('./analytics');
+const logger = require('../logger').child({ component: 'Lookup' });
+
+/**
+ * =========================
+ * Customer Lookups
+ * =========================
+ * Shared by the App Proxy page (track.ejs) and the JSON API.
+ * Both lookups resolve to:
+ *   { ok: true, order, packages }   (tracking mode: only the order's name, date and destination)
+ *   { ok: false, code, error }   (code is one of ERROR_CODES)
+ *
+ * `ctx` carries the caller's { shop, ip, locale, challenge, source }: shop selects the store's credentials,
+ * ip and challenge feed the brute-force guard, locale is used for shipment notifications,
+ * source ('page' or 'api') is recorded with the lookup in services/analytics.js;
+ * CHALLENGE_REQUIRED results also include the `challenge` to solve,
+ * TOO_MANY_ATTEMPTS results a `retryAfter` in seconds.
+ */
+const ERROR_CODES = {
+    INVALID_REQUEST: 'INVALID_REQUEST',
+    ORDER_NOT_FOUND: 'ORDER_NOT_FOUND',
+    TRACKING_NOT_FOUND: 'TRACKING_NOT_FOUND',
+    UPSTREAM_ERROR: 'UPSTREAM_ERROR',
+    TOO_MANY_ATTEMPTS: 'TOO_MANY_ATTEMPTS',
+    CHALLENGE_REQUIRED: 'CHALLENGE_REQUIRED',
+    INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+/**
+ * Resolve the translation target from the `lang` param
+ * (default to English if not specified, allow 'original' to skip translation)
+ */
+function resolveTargetLang(requestedLang) {
+    return requestedLang === 'original' ? null : (requestedLang || 'en');
+}
+
+/**
+ * Merge tracking provider data into a Shopify package
+ */
+function enrichPackage(pkg, trackInfo, shop) {
+    pkg = { ...pkg, tracking_company: whiteLabel.relabelCarrier(pkg.tracking_company, shop) };
+    if (!trackInfo || !trackInfo.ok) {
+        return { ...pkg, events: [] };
+    }
+    return {
+        ...pkg,
+        status: trackInfo.status,
+        status_text: trackInfo.status_text,
+        carrier: trackInfo.carrier,
+        events: trackInfo.events || [],
+        estimated_delivery: trackInfo.estimated_delivery,
+        original_language: trackInfo.original_language
+    };
+}
+
+/**
+ * Whole days in transit: from shipment to delivery (latest event), or to now while on the way
+ */
+function transitDays(pkg) {
+    if (!pkg.shipped_at) return null;
+    const shipped = new Date(pkg.shipped_at).getTime();
+    const latest = pkg.events && pkg.events[0] && new Date(pkg.events[0].time).getTime();
+    const end = pkg.status === STATUS.DELIVERED && latest ? latest : Date.now();
+    if (isNaN(shipped) || isNaN(end) || end < shipped) return null;
+    return Math.floor((end - shipped) / 86400000);
+}
+
+/**
+ * Estimated delivery window (carrier estimate, else historical transit times) and time in transit
+ */
+function withEstimates(packages, order) {
+    return packages.map(pkg => ({
+        ...pkg,
+        estimated_delivery: estimateDelivery(pkg, order),
+        transit_days: transitDays(pkg)
+    }));
+}
+
+/**
+ * Run a lookup through the brute-force guard.
+ * Only "not found" outcomes count as failures; upstream errors are not the customer's fault.
+ */
+async function guarded(guardCtx, challengeResponse, lookup) {
+    const check = lookupGuard.checkAttempt(guardCtx, challengeResponse);
+    if (!check.allowed) {
+        return { ok: false, code: check.code, error: check.error, retryAfter: check.retryAfter, challenge: check.challenge };
+    }
+
+    const result = await lookup();
+
+    if (result.ok) {
+        lookupGuard.recordSuccess(guardCtx);
+    } else if (result.code === ERROR_CODES.ORDER_NOT_FOUND || result.code === ERROR_CODES.TRACKING_NOT_FOUND) {
+        await lookupGuard.recordFailure(guardCtx, result.code);
+    }
+    return result;
+}
+
+/**
+ * Run a lookup and record its outcome and latency, whatever the result
+ */
+async function recorded(details, lookup) {
+    const startedAt = Date.now();
+    const result = await lookup();
+    analytics.recordLookup({ ...details, startedAt }, result);
+    return result;
+}
+
+/**
+ * Order Mode: order number + email
+ */
+async function lookupByOrder(orderName, email, requestedLang, ctx = {}) {
+    const details = { mode: 'order', source: ctx.source, shop: resolveShop(ctx.shop), lang: requestedLang, order: orderName, email };
+    return recorded(details, async () => {
+        if (!orderName || !email) {
+            return { ok: false, code: ERROR_CODES.INVALID_REQUEST, error: 'Order number and email are required.' };
+        }
+
+        return guarded({ shop: ctx.shop, ip: ctx.ip, order: orderName, email }, ctx.challenge, () => findOrder(orderName, email, requestedLang, ctx));
+    });
+}
+
+async function findOrder(orderName, email, requestedLang, { shop, locale } = {}) {
+    logger.info('Order lookup', { order: orderName });
+    const orderResult = await getOrderByNameAndEmail(orderName, email, shop);
+
+    if (!orderResult.ok) {
+        return {
+            ok: false,
+            code: orderResult.code || ERROR_CODES.ORDER_NOT_FOUND,
+            error: orderResult.error || 'Order not found'
+        };
+    }
+
+    const order = orderResult.order;
+    const targetLang = resolveTargetLang(requestedLang);
+
+    // The customer proved they own this order: notify them about its shipments
+    notifications.rememberOrderContacts(order, { shop: resolveShop(shop), locale });
+    orderIndex.rememberOrder(order, resolveShop(shop));
+
+    // Fetch tracking for all packages in parallel
+    const packages = await Promise.all(order.packages.map(async (pkg) => {
+        if (pkg.tracking_number && pkg.tracking_number !== 'Processing') {
+            const trackInfo = await getTrackingInfo(pkg.tracking_number, targetLang, pkg.tracking_company, shop);
+            return enrichPackage(pkg, trackInfo, shop);
+        }
+        return { ...pkg, events: [] };
+    }));
+
+    return { ok: true, order, packages: withEstimates(packages, order) };
+}
+
+/**
+ * What a tracking number alone may reveal about its order: enough to render the shipment,
+ * nothing about the customer or the order's other packages
+ */
+function publicOrder(order) {
+    return {
+        name: order.name,
+        created_at: order.created_at,
+        destination: order.destination,
+        destination_code: order.destination_code
+    };
+}
+
+/**
+ * Tracking Number Mode: only numbers that belong to one of our orders are served
+ */
+async function lookupByTracking(tracking, requestedLang, ctx = {}) {
+    const details = { mode: 'tracking', source: ctx.source, shop: resolveShop(ctx.shop), lang: requestedLang, tracking };
+    return recorded(details, async () => {
+        if (!tracking) {
+            return { ok: false, code: ERROR_CODES.INVALID_REQUEST, error: 'Tracking number is required.' };
+        }
+
+        return guarded({ shop: ctx.shop, ip: ctx.ip, tracking }, ctx.challenge, () => findTracking(tracking, requestedLang, ctx.shop));
+    });
+}
+
+async function findTracking(tracking, requestedLang, shop) {
+    logger.info('Tracking lookup', { tracking });
+
+    // 1. Verify if this tracking number belongs to our shop
+    const orderResult = await findOrderByTrackingNumber(tracking, shop);
+
+    if (!orderResult.ok) {
+        // Not found in our system -> Block access
+        return {
+            ok: false,
+            code: orderResult.code || ERROR_CODES.TRACKING_NOT_FOUND,
+            error: 'We could not find an order with this tracking number in our system.'
+        };
+    }
+
+    const order = orderResult.order;
+    orderIndex.rememberOrder(order, resolveShop(shop));
+
+    // 2. Find the specific package in the order that matches this tracking number
+    // to display the correct items in the UI
+    const matchedPackage = order.packages.find(p => p.tracking_number === tracking) || order.packages[0];
+
+    // 3. Get Logistics Info from the carrier's tracking provider
+    const trackInfo = await getTrackingInfo(tracking, resolveTargetLang(requestedLang), matchedPackage.tracking_company, shop);
+
+    // 4. If the provider fails or returns nothing, we still show the order info but with empty events
+    const pkg = enrichPackage({ ...matchedPackage, carrier: 'Unknown', original_language: 'Unknown' }, trackInfo, shop);
+
+    return { ok: true, order: publicOrder(order), packages: withEstimates([pkg], order) };
+}
+
+/**
+ * Confirm a tracking number belongs to one of our orders, through the brute-force guard, for
+ * requests that act on a shipment without showing it (language switches, "notify me").
+ * Resolves { ok: true, order } or { ok: false, code, error } like the lookups.
+ */
+async function verifyTracking(tracking, ctx = {}) {
+    if (!tracking) {
+        return { ok: false, code: ERROR_CODES.INVALID_REQUEST, error: 'Tracking number is required.' };
+    }
+
+    return guarded({ shop: ctx.shop, ip: ctx.ip, tracking }, ctx.challenge, async () => {
+        const orderResult = await findOrderByTrackingNumber(tracking, ctx.shop);
+        if (!orderResult.ok) {
+            return {
+                ok: false,
+                code: orderResult.code || ERROR_CODES.TRACKING_NOT_FOUND,
+                error: 'We could not find an order with this tracking number in our system.'
+            };
+        }
+        return orderResult;
+    });
+}
+
+module.exports = { lookupByOrder, lookupByTracking, verifyTracking, ERROR_CODES };
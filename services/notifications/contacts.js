@@ -0,0 +1,122 @@
+const crypto = require("crypto");
+const { createJsonStore } = require("../../utils/jsonStore");
+
+/**
+ * Who to notify about a tracking number, and who asked not to be notified.
+ *
+ *   contacts:  tracking -> { [address]: { email, phone, locale, shop, order, source, added_at, confirmed } }
+ *   opt-outs:  address  -> { opted_out_at }
+ *
+ * `address` is the lowercased email or phone. Opt-outs apply to every tracking number.
+ * source is "order" (order email from a lookup) or "subscription" (track page form; these
+ * stay `confirmed: false` until the double opt-in link is followed).
+ */
+const contacts = createJsonStore("notification_contacts");
+const optOuts = createJsonStore("notification_optouts");
+
+const SECRET = process.env.NOTIFICATIONS_SECRET || process.env.SHOPIFY_APP_SECRET;
+
+function addressOf(contact) {
+  return String(contact.email || contact.phone || "").trim().toLowerCase();
+}
+
+function addContact(tracking, contact) {
+  const address = addressOf(contact);
+  if (!tracking || !address) return null;
+
+  const existing = contacts.get(tracking) || {};
+  existing[address] = { ...(existing[address] || { added_at: new Date().toISOString() }), ...contact };
+  contacts.set(tracking, existing);
+  return existing[address];
+}
+
+function getContact(tracking, address) {
+  const existing = contacts.get(tracking) || {};
+  return existing[String(address).toLowerCase()] || null;
+}
+
+function getContacts(tracking) {
+  return Object.values(contacts.get(tracking) || {});
+}
+
+/**
+ * Double opt-in completed: the contact receives updates, and an earlier opt-out is lifted
+ */
+function confirmContact(tracking, address) {
+  const contact = getContact(tracking, address);
+  if (!contact) return null;
+  optOuts.delete(String(address).toLowerCase());
+  return addContact(tracking, { ...contact, confirmed: true, confirmed_at: new Date().toISOString() });
+}
+
+function optOut(address) {
+  optOuts.set(String(address).toLowerCase(), { opted_out_at: new Date().toISOString() });
+}
+
+function isOptedOut(address) {
+  return optOuts.has(String(address).toLowerCase());
+}
+
+function sign(purpose, value) {
+  return crypto.createHmac("sha256", SECRET).update(`${purpose}:${value}`).digest("hex");
+}
+
+function checkSignature(purpose, value, t) {
+  try {
+    return crypto.timingSafeEqual(Buffer.from(sign(purpose, value)), Buffer.from(String(t)));
+  } catch (e) {
+    return false;
+  }
+}
+
+const encode = (value) => Buffer.from(value).toString("base64url");
+const decode = (value) => Buffer.from(String(value), "base64url").toString("utf8");
+
+/**
+ * Signed unsubscribe parameters: { a: base64url(address), t: hmac }.
+ * Null when no secret is configured (links can't be trusted without one).
+ */
+function unsubscribeParams(address) {
+  if (!SECRET) return null;
+  return { a: encode(address), t: sign("unsubscribe", address) };
+}
+
+/**
+ * Verify unsubscribe parameters; resolves the address or null
+ */
+function verifyUnsubscribe(a, t) {
+  if (!SECRET || !a || !t) return null;
+  const address = decode(a);
+  return checkSignature("unsubscribe", address, t) ? address : null;
+}
+
+/**
+ * Signed confirmation parameters for a subscription: { n: tracking, a: base64url(address), t: hmac }
+ */
+function confirmParams(tracking, address) {
+  if (!SECRET) return null;
+  return { n: tracking, a: encode(address), t: sign("confirm", `${tracking}|${address}`) };
+}
+
+/**
+ * Verify confirmation parameters; resolves { tracking, address } or null
+ */
+function verifyConfirm(n, a, t) {
+  if (!SECRET || !n || !a || !t) return null;
+  const address = decode(a);
+  return checkSignature("confirm", `${n}|${address}`, t) ? { tracking: String(n), address } : null;
+}
+
+module.exports = {
+  addressOf,
+  addContact,
+  getContact,
+  getContacts,
+  confirmContact,
+  optOut,
+  isOptedOut,
+  unsubscribeParams,
+  verifyUnsubscribe,
+  confirmParams,
+  verifyConfirm
+};
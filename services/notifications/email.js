@@ -0,0 +1,49 @@
+const nodemailer = require("nodemailer");
+
+/**
+ * SMTP email. Works with any SMTP server, including a local sink
+ * (e.g. SMTP_HOST=localhost SMTP_PORT=1025 without credentials).
+ */
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_FROM = process.env.SMTP_FROM || "Order Tracking <no-reply@localhost>";
+
+let transport = null;
+
+function isConfigured() {
+  return !!SMTP_HOST;
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP_HOST,
+      port: SMTP_PORT,
+      secure: process.env.SMTP_SECURE === "true", // true for port 465
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transport;
+}
+
+function canSend(contact) {
+  return !!contact.email;
+}
+
+async function send(message) {
+  await getTransport().sendMail({
+    from: SMTP_FROM,
+    to: message.contact.email,
+    subject: message.subject,
+    text: message.text,
+    html: message.html,
+    headers: message.unsubscribeUrl ? { "List-Unsubscribe": `<${message.unsubscribeUrl}>` } : undefined
+  });
+}
+
+module.exports = {
+  name: "email",
+  isConfigured,
+  canSend,
+  send
+};
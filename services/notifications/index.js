@@ -0,0 +1,337 @@
+const path = require("path");
+const ejs = require("ejs");
+const { createJsonStore } = require("../../utils/jsonStore");
+const trackingStore = require("../../utils/trackingStore");
+const { STATUS, normalize } = require("../../utils/shipmentStatus");
+const { createTranslator, matchLocale, DEFAULT_LOCALE } = require("../../utils/i18n");
+const contacts = require("./contacts");
+const { getShopSettings } = require("../shopStore");
+const logger = require("../../logger").child({ component: "Notify" });
+
+/**
+ * =========================
+ * Shipment Notifications
+ * =========================
+ * When stored tracking data changes (webhook push or provider pull), the normalized status
+ * is mapped to a customer-facing event; a new event is sent once to every contact of
+ * the tracking number through every configured channel. Confirmed track-page subscribers
+ * also get an "update" for every new carrier event. A status notification that no channel
+ * could deliver is retried on the shipment's next save while that status still holds.
+ *
+ * Channels share one interface:
+ *   name                - registry key (NOTIFICATION_CHANNELS=email,sms,webhook limits which run)
+ *   isConfigured()      - true when credentials are present
+ *   canSend(contact)    - whether the contact is reachable on this channel
+ *   send(message)       - throws on failure
+ *
+ * Texts come from the locale catalogs (notifications.<event>.*), in the contact's locale.
+ */
+const CHANNELS = {};
+
+function registerChannel(channel) {
+  CHANNELS[channel.name] = channel;
+}
+
+registerChannel(require("./email"));
+registerChannel(require("./sms"));
+registerChannel(require("./webhook"));
+
+// Statuses that trigger each notification event
+const EVENTS = {
+  shipped: [STATUS.INFO_RECEIVED, STATUS.IN_TRANSIT, STATUS.CUSTOMS_HOLD],
+  out_for_delivery: [STATUS.OUT_FOR_DELIVERY, STATUS.AVAILABLE_FOR_PICKUP],
+  delivered: [STATUS.DELIVERED],
+  exception: [STATUS.EXCEPTION, STATUS.DELIVERY_FAILED, STATUS.RETURNED_TO_SENDER, STATUS.EXPIRED]
+};
+
+// Every event a shop can switch off in the dashboard (settings.notifications.<event> = false)
+const EVENT_NAMES = [...Object.keys(EVENTS), "update"];
+
+// tracking|event|address -> sent_at, so each transition notifies a contact once
+const sent = createJsonStore("notifications_sent");
+// tracking -> { address: event } whose every channel failed; retried on the shipment's next save
+const failed = createJsonStore("notifications_failed");
+
+const APP_URL = (process.env.APP_URL || "").replace(/\/$/, "");
+const EMAIL_TEMPLATE = path.join(__dirname, "..", "..", "views", "notifications", "email.ejs");
+
+function getChannels() {
+  const wanted = process.env.NOTIFICATION_CHANNELS
+    ? process.env.NOTIFICATION_CHANNELS.split(",").map(c => c.trim())
+    : Object.keys(CHANNELS);
+  return wanted.map(name => CHANNELS[name]).filter(c => c && c.isConfigured());
+}
+
+function isEventEnabled(shop, event) {
+  const toggles = getShopSettings(shop).notifications || {};
+  return toggles[event] !== false;
+}
+
+function eventFor(status) {
+  const normalized = normalize(status);
+  return Object.keys(EVENTS).find(event => EVENTS[event].includes(normalized)) || null;
+}
+
+/**
+ * The notification event for a status change, or null when nothing customer-facing changed
+ */
+function detectTransition(previous, next) {
+  const event = eventFor(next && next.status);
+  if (!event) return null;
+  return event === eventFor(previous && previous.status) ? null : event;
+}
+
+/**
+ * True when the carrier added an event since the previous save
+ */
+function hasNewEvent(previous, next) {
+  const latest = next && next.events && next.events[0];
+  if (!latest) return false;
+  const before = previous && previous.events && previous.events[0];
+  return !before || before.time !== latest.time || (before.desc || before.description) !== (latest.desc || latest.description);
+}
+
+function trackPageUrl(shop, tracking) {
+  const base = process.env.TRACK_PAGE_URL || (shop ? `https://${shop}/apps/track` : null);
+  return base ? `${base}?tracking=${encodeURIComponent(tracking)}` : null;
+}
+
+function unsubscribeUrl(address) {
+  const params = contacts.unsubscribeParams(address);
+  if (!APP_URL || !params) return null;
+  return `${APP_URL}/notifications/unsubscribe?${new URLSearchParams(params).toString()}`;
+}
+
+/**
+ * Render the texts for one contact (subject, plain text, HTML, SMS)
+ */
+async function buildMessage(event, entry, contact) {
+  const locale = matchLocale(contact.locale) || DEFAULT_LOCALE;
+  const t = createTranslator(locale);
+  const vars = { order: contact.order || entry.tracking, tracking: entry.tracking };
+  const latestEvent = entry.events && entry.events[0];
+  const trackUrl = trackPageUrl(contact.shop, entry.tracking);
+  const unsubscribe = unsubscribeUrl(contacts.addressOf(contact));
+
+  const subject = t(`notifications.${event}.subject`, vars);
+  const body = t(`notifications.${event}.body`, vars);
+  const latest = latestEvent ? t("notifications.latest_update", { event: [latestEvent.desc || latestEvent.description, latestEvent.location].filter(Boolean).join(" - ") }) : null;
+
+  const text = [body, latest, trackUrl, unsubscribe && `${t("notifications.unsubscribe")}: ${unsubscribe}`]
+    .filter(Boolean)
+    .join("\n\n");
+
+  const html = await ejs.renderFile(EMAIL_TEMPLATE, {
+    t, locale, subject, body, latest, unsubscribeUrl: unsubscribe,
+    buttonUrl: trackUrl,
+    buttonLabel: t("notifications.track_button")
+  });
+
+  return {
+    event,
+    tracking: entry.tracking,
+    status: normalize(entry.status),
+    order: contact.order || null,
+    shop: contact.shop || null,
+    locale,
+    contact,
+    latestEvent,
+    subject,
+    text,
+    html,
+    sms: [t(`notifications.${event}.sms`, vars), trackUrl].filter(Boolean).join(" "),
+    unsubscribeUrl: unsubscribe
+  };
+}
+
+// What a failed send is logged with: channel errors can echo the recipient's address or number
+function failureDetails(error) {
+  return { error: error.name, code: error.code || error.responseCode, status: error.response ? error.response.status : undefined };
+}
+
+/**
+ * Tracking store listener: send the notification for a new status event
+ * (and new carrier events to subscribers, and retry notifications that failed on an earlier save)
+ */
+async function notifyTransition(previous, next) {
+  const transition = detectTransition(previous, next);
+  const newEvent = hasNewEvent(previous, next);
+  const retries = failed.get(next.tracking) || {};
+  if (!transition && !newEvent && Object.keys(retries).length === 0) return;
+
+  const channels = getChannels();
+  if (channels.length === 0) return;
+
+  for (const contact of contacts.getContacts(next.tracking)) {
+    const address = contacts.addressOf(contact);
+    if (contact.confirmed === false || contacts.isOptedOut(address)) continue;
+
+    // A failed event is retried while it is still the shipment's current one
+    let event = transition || (retries[address] === eventFor(next.status) ? retries[address] : null);
+    let key = `${next.tracking}|${event}|${address}`;
+    if (!event) {
+      if (contact.source !== "subscription" || !newEvent) continue;
+      event = "update";
+      key = `${next.tracking}|update:${next.events[0].time}|${address}`;
+    }
+    const usable = channels.filter(c => c.canSend(contact));
+    if (usable.length === 0 || sent.has(key) || !isEventEnabled(contact.shop, event)) continue;
+    // Mark first: a second push arriving mid-send must not notify again
+    sent.set(key, new Date().toISOString());
+
+    const message = await buildMessage(event, next, contact);
+    let delivered = 0;
+    for (const channel of usable) {
+      try {
+        await channel.send(message);
+        delivered++;
+        logger.info("Notification sent", { event, tracking: next.tracking, channel: channel.name });
+      } catch (error) {
+        logger.error("Notification failed", { event, tracking: next.tracking, channel: channel.name, ...failureDetails(error) });
+      }
+    }
+    if (event !== "update") markFailed(next.tracking, address, delivered === 0 ? event : null);
+    // Nothing went out (e.g. SMTP down): unmark, so the retry can send it
+    if (delivered === 0) sent.delete(key);
+  }
+}
+
+function markFailed(tracking, address, event) {
+  const pending = { ...(failed.get(tracking) || {}) };
+  if (event) pending[address] = event;
+  else delete pending[address];
+
+  if (Object.keys(pending).length > 0) failed.set(tracking, pending);
+  else if (failed.has(tracking)) failed.delete(tracking);
+}
+
+/**
+ * Remember the order email as the contact for each of its tracking numbers
+ * (called after a successful order + email lookup)
+ */
+function rememberOrderContacts(order, { shop, locale } = {}) {
+  if (!order || !order.email) return;
+  (order.packages || [])
+    .filter(pkg => pkg.tracking_number && pkg.tracking_number !== "Processing")
+    .forEach(pkg => contacts.addContact(pkg.tracking_number, {
+      email: order.email,
+      order: order.name,
+      shop,
+      locale,
+      source: "order"
+    }));
+}
+
+/**
+ * Which contact types the track page can offer ({ email, sms })
+ */
+function subscriptionOptions() {
+  const available = getChannels().map(c => c.name);
+  const linksWork = !!(APP_URL && contacts.confirmParams("x", "x"));
+  return {
+    email: linksWork && available.includes("email"),
+    sms: linksWork && available.includes("sms")
+  };
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+[1-9]\d{6,14}$/; // E.164
+// Don't resend a confirmation to the same address for a tracking number more often than this
+const CONFIRM_RESEND_MS = 60 * 60 * 1000;
+
+/**
+ * Track page "Notify me": store a pending subscription and send the double opt-in link.
+ * `value` is an email or an E.164 phone number.
+ * Resolves { ok: true, pending: true } or { ok: false, code: "INVALID_CONTACT", error }. An address
+ * that is already a contact gets the same answer (and no new link), and the link is sent in the
+ * background, so the form can't be used to tell whether an address belongs to the order.
+ */
+async function subscribe(tracking, value, { shop, locale, order } = {}) {
+  const raw = String(value || "").trim();
+  const phone = raw.replace(/[\s().-]/g, "");
+  const options = subscriptionOptions();
+
+  let contact;
+  if (EMAIL_PATTERN.test(raw) && options.email) {
+    contact = { email: raw.toLowerCase() };
+  } else if (PHONE_PATTERN.test(phone) && options.sms) {
+    contact = { phone };
+  } else {
+    return { ok: false, code: "INVALID_CONTACT", error: "Please enter a valid email address or phone number." };
+  }
+
+  const address = contacts.addressOf(contact);
+  const existing = contacts.getContact(tracking, address);
+  if (existing && existing.confirmed !== false && !contacts.isOptedOut(address)) {
+    return { ok: true, pending: true };
+  }
+  if (existing && existing.confirmation_sent_at && Date.now() - new Date(existing.confirmation_sent_at).getTime() < CONFIRM_RESEND_MS) {
+    return { ok: true, pending: true };
+  }
+
+  const saved = contacts.addContact(tracking, {
+    ...contact,
+    shop,
+    locale,
+    order,
+    source: "subscription",
+    confirmed: false,
+    confirmation_sent_at: new Date().toISOString()
+  });
+
+  // Not awaited: the answer must not depend on (or take longer because of) the send
+  sendConfirmation(tracking, saved, locale).catch(error => {
+    logger.error("Confirmation failed", { tracking, ...failureDetails(error) });
+    // Allow the customer to ask again straight away
+    contacts.addContact(tracking, { ...contact, confirmation_sent_at: null });
+  });
+
+  return { ok: true, pending: true };
+}
+
+async function sendConfirmation(tracking, contact, locale) {
+  const address = contacts.addressOf(contact);
+  const t = createTranslator(matchLocale(locale) || DEFAULT_LOCALE);
+  const confirmUrl = `${APP_URL}/notifications/confirm?${new URLSearchParams(contacts.confirmParams(tracking, address)).toString()}`;
+  const vars = { tracking };
+  const subject = t("notifications.confirm.subject", vars);
+  const body = t("notifications.confirm.body", vars);
+
+  const message = {
+    event: "confirm",
+    tracking,
+    contact,
+    locale,
+    subject,
+    text: `${body}\n\n${confirmUrl}`,
+    html: await ejs.renderFile(EMAIL_TEMPLATE, {
+      t, locale: matchLocale(locale) || DEFAULT_LOCALE, subject, body, latest: null, unsubscribeUrl: null,
+      buttonUrl: confirmUrl,
+      buttonLabel: t("notifications.confirm.button")
+    }),
+    sms: `${t("notifications.confirm.sms", vars)} ${confirmUrl}`
+  };
+
+  await CHANNELS[contact.email ? "email" : "sms"].send(message);
+}
+
+/**
+ * Start listening for tracking changes
+ */
+function start() {
+  trackingStore.onTrackingChange(notifyTransition);
+  const names = getChannels().map(c => c.name);
+  logger.info("Notification channels", { channels: names.length > 0 ? names : "none configured" });
+}
+
+module.exports = {
+  start,
+  registerChannel,
+  detectTransition,
+  notifyTransition,
+  rememberOrderContacts,
+  buildMessage,
+  subscribe,
+  subscriptionOptions,
+  EVENT_NAMES
+};
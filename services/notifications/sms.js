@@ -0,0 +1,38 @@
+const axios = require("axios");
+
+/**
+ * SMS through Twilio's Messages API (SMS_API_BASE can point at any compatible endpoint)
+ */
+const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
+const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
+const TWILIO_FROM = process.env.TWILIO_FROM;
+const SMS_API_BASE = process.env.SMS_API_BASE || "https://api.twilio.com/2010-04-01";
+
+function isConfigured() {
+  return !!(TWILIO_ACCOUNT_SID && TWILIO_AUTH_TOKEN && TWILIO_FROM);
+}
+
+function canSend(contact) {
+  return !!contact.phone;
+}
+
+async function send(message) {
+  const body = new URLSearchParams({
+    To: message.contact.phone,
+    From: TWILIO_FROM,
+    Body: message.sms
+  });
+
+  await axios.post(`${SMS_API_BASE}/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`, body.toString(), {
+    auth: { username: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN },
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    timeout: 10000
+  });
+}
+
+module.exports = {
+  name: "sms",
+  isConfigured,
+  canSend,
+  send
+};
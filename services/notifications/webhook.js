@@ -0,0 +1,45 @@
+const axios = require("axios");
+const crypto = require("crypto");
+
+/**
+ * Generic webhook: POSTs the notification as JSON to NOTIFY_WEBHOOK_URL.
+ * With NOTIFY_WEBHOOK_SECRET set, `X-Signature: sha256=<hex hmac of the body>` is added.
+ */
+const NOTIFY_WEBHOOK_URL = process.env.NOTIFY_WEBHOOK_URL;
+const NOTIFY_WEBHOOK_SECRET = process.env.NOTIFY_WEBHOOK_SECRET;
+
+function isConfigured() {
+  return !!NOTIFY_WEBHOOK_URL;
+}
+
+function canSend() {
+  return true;
+}
+
+async function send(message) {
+  const body = JSON.stringify({
+    event: message.event,
+    tracking: message.tracking,
+    status: message.status,
+    order: message.order,
+    shop: message.shop,
+    email: message.contact.email || null,
+    phone: message.contact.phone || null,
+    locale: message.locale,
+    latest_event: message.latestEvent || null
+  });
+
+  const headers = { "Content-Type": "application/json" };
+  if (NOTIFY_WEBHOOK_SECRET) {
+    headers["X-Signature"] = `sha256=${crypto.createHmac("sha256", NOTIFY_WEBHOOK_SECRET).update(body).digest("hex")}`;
+  }
+
+  await axios.post(NOTIFY_WEBHOOK_URL, body, { headers, timeout: 10000 });
+}
+
+module.exports = {
+  name: "webhook",
+  isConfigured,
+  canSend,
+  send
+};
@@ -0,0 +1,91 @@
+const { createJsonStore } = require('../utils/jsonStore');
+const { normalizeShop } = require('./shopStore');
+
+/**
+ * =========================
+ * Tracking Number -> Order Index
+ * =========================
+ * Which shop, order and fulfillment a tracking number belongs to, remembered whenever we
+ * see a Shopify order (customer lookups, the background refresher, order webhooks), so
+ * background work such as the status write-back doesn't have to search Shopify for it.
+ *
+ * Entry shape: { tracking, shop, order_id, order_name, fulfillment_id, carrier, destination, updated_at }
+ *
+ * Orders delivered by the order webhooks (services/orderSync.js) are kept whole, in the
+ * shape of shopifyService.mapOrder, so customer lookups for them skip the Admin API.
+ * Only webhooks write them: an order stored here is as fresh as Shopify's last push.
+ */
+const store = createJsonStore('order_index');
+// "<shop>|<order name>" -> { shop, order, updated_at }
+const orders = createJsonStore('orders');
+
+function orderKey(shop, name) {
+    return `${normalizeShop(shop)}|${String(name || '').trim().replace(/^#/, '').toLowerCase()}`;
+}
+
+function getEntry(tracking) {
+    return store.get(tracking) || null;
+}
+
+function rememberFulfillment({ tracking, shop, order_id, order_name, fulfillment_id, carrier, destination }) {
+    if (!tracking || !fulfillment_id) return null;
+
+    const previous = store.get(tracking) || {};
+    return store.set(tracking, {
+        ...previous,
+        tracking,
+        shop: normalizeShop(shop) || previous.shop || null,
+        order_id,
+        order_name,
+        fulfillment_id,
+        carrier: carrier || previous.carrier || null,
+        destination: destination || previous.destination || null,
+        updated_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Index every shipped package of a mapped order (see shopifyService.mapOrder)
+ */
+function rememberOrder(order, shop) {
+    if (!order) return;
+    (order.packages || [])
+        .filter(pkg => pkg.id && pkg.tracking_number && pkg.tracking_number !== 'Processing')
+        .forEach(pkg => rememberFulfillment({
+            tracking: pkg.tracking_number,
+            shop,
+            order_id: order.id,
+            order_name: order.name,
+            fulfillment_id: pkg.id,
+            carrier: pkg.tracking_company,
+            destination: order.destination
+        }));
+}
+
+/**
+ * Store a complete order from a webhook and index its packages
+ */
+function saveOrder(shop, order) {
+    orders.set(orderKey(shop, order.name), { shop: normalizeShop(shop), order, updated_at: new Date().toISOString() });
+    rememberOrder(order, shop);
+    return order;
+}
+
+function findOrderByName(shop, name) {
+    const entry = orders.get(orderKey(shop, name));
+    return entry ? entry.order : null;
+}
+
+/**
+ * The stored order a tracking number belongs to, or null when we only know it through a live lookup
+ */
+function findOrderByTracking(tracking, shop) {
+    const entry = getEntry(tracking);
+    if (!entry || entry.shop !== normalizeShop(shop)) return null;
+
+    const order = findOrderByName(shop, entry.order_name);
+    if (!order || !order.packages.some(p => p.tracking_number === tracking)) return null;
+    return order;
+}
+
+module.exports = { getEntry, rememberFulfillment, rememberOrder, saveOrder, findOrderByName, findOrderByTracking };
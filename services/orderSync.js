@@ -0,0 +1,63 @@
+const cache = require('../utils/cache');
+const orderIndex = require('./orderIndex');
+const refresher = require('./refresher');
+const { getOrderById } = require('./shopifyService');
+const logger = require('../logger').child({ component: 'Webhook' });
+
+/**
+ * =========================
+ * Shopify Order Webhooks
+ * =========================
+ * fulfillments/create, fulfillments/update, orders/updated and orders/cancelled keep the
+ * local order index (services/orderIndex.js) in step with Shopify:
+ *   1. tracking numbers in the payload go to the refresher straight away, so the provider
+ *      knows them before the customer's first visit;
+ *   2. the order is re-read through the Admin API (REST webhook payloads lack the GraphQL ids
+ *      and images the tracking page uses), stored in the index and its cached lookups dropped.
+ *
+ * Resolves { ok, order } or { ok: false, code, error }; UPSTREAM_ERROR means Shopify should retry.
+ */
+const TOPICS = ['fulfillments/create', 'fulfillments/update', 'orders/updated', 'orders/cancelled'];
+
+function isFulfillmentTopic(topic) {
+    return topic.startsWith('fulfillments/');
+}
+
+function orderGid(topic, payload) {
+    if (isFulfillmentTopic(topic)) return `gid://shopify/Order/${payload.order_id}`;
+    return payload.admin_graphql_api_id || `gid://shopify/Order/${payload.id}`;
+}
+
+function trackingNumbersOf(fulfillment) {
+    const numbers = fulfillment.tracking_numbers && fulfillment.tracking_numbers.length > 0
+        ? fulfillment.tracking_numbers
+        : [fulfillment.tracking_number];
+    return numbers.filter(Boolean);
+}
+
+async function handleOrderWebhook(shop, topic, payload) {
+    const fulfillments = isFulfillmentTopic(topic) ? [payload] : (payload.fulfillments || []);
+
+    // 1. Register new numbers with their provider now
+    fulfillments
+        .filter(f => f.status !== 'cancelled')
+        .forEach(f => trackingNumbersOf(f).forEach(number => refresher.trackFulfillment(shop, {
+            tracking_number: number,
+            tracking_company: f.tracking_company,
+            fulfillment_id: f.admin_graphql_api_id || `gid://shopify/Fulfillment/${f.id}`,
+            order_id: orderGid(topic, payload),
+            order_name: f.name ? String(f.name).split('.')[0] : payload.name,
+            shipped_at: f.created_at
+        })));
+
+    // 2. Refresh the stored order
+    const result = await getOrderById(shop, orderGid(topic, payload));
+    if (!result.ok) return result;
+
+    orderIndex.saveOrder(shop, result.order);
+    await cache.invalidate(`order:${result.order.id}`);
+    logger.info('Order stored', { topic, shop, order: result.order.name, packages: result.order.packages.length });
+    return result;
+}
+
+module.exports = { TOPICS, handleOrderWebhook };
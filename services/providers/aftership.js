@@ -0,0 +1,153 @@
+const axios = require("axios");
+const { STATUS } = require("../../utils/shipmentStatus");
+const logger = require("../../logger").child({ component: "AfterShip" });
+
+const AFTERSHIP_API_KEY = process.env.AFTERSHIP_API_KEY;
+const API_BASE_URL = process.env.AFTERSHIP_API_BASE || "https://api.aftership.com/v4";
+// PROVIDER_TIMEOUT_MS, shared with the other adapters
+const TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 10000;
+
+// AfterShip "tag" values -> readable status
+const TAG_TEXT = {
+  Pending: "Pending",
+  InfoReceived: "Info Received",
+  InTransit: "In Transit",
+  OutForDelivery: "Out for Delivery",
+  AttemptFail: "Delivery Attempted",
+  Delivered: "Delivered",
+  AvailableForPickup: "Ready for Pickup",
+  Exception: "Exception",
+  Expired: "Expired"
+};
+
+/**
+ * Map AfterShip tag/subtag to the canonical status
+ */
+function mapStatus(tracking) {
+  const subtagMessage = String(tracking.subtag_message || "").toLowerCase();
+
+  switch (tracking.tag) {
+    case "InfoReceived":
+      return STATUS.INFO_RECEIVED;
+    case "InTransit":
+      return subtagMessage.includes("customs") ? STATUS.CUSTOMS_HOLD : STATUS.IN_TRANSIT;
+    case "OutForDelivery":
+      return STATUS.OUT_FOR_DELIVERY;
+    case "AvailableForPickup":
+      return STATUS.AVAILABLE_FOR_PICKUP;
+    case "AttemptFail":
+      return STATUS.DELIVERY_FAILED;
+    case "Delivered":
+      return STATUS.DELIVERED;
+    case "Expired":
+      return STATUS.EXPIRED;
+    case "Exception":
+      if (subtagMessage.includes("return")) return STATUS.RETURNED_TO_SENDER;
+      if (subtagMessage.includes("customs")) return STATUS.CUSTOMS_HOLD;
+      return STATUS.EXCEPTION;
+    default:
+      return STATUS.UNKNOWN;
+  }
+}
+
+function isConfigured() {
+  return !!AFTERSHIP_API_KEY;
+}
+
+function headers() {
+  return {
+    "aftership-api-key": AFTERSHIP_API_KEY,
+    "Content-Type": "application/json",
+    ...logger.requestHeaders()
+  };
+}
+
+/**
+ * Create a tracking in AfterShip (carrier slug is auto-detected).
+ * Resolves { ok, error } when AfterShip answers; throws on outages (no answer, 429, 5xx) like fetch().
+ */
+async function register(trackingNumber) {
+  if (!isConfigured()) {
+    return { ok: false, error: "API Key not configured" };
+  }
+
+  try {
+    await axios.post(
+      `${API_BASE_URL}/trackings`,
+      { tracking: { tracking_number: trackingNumber } },
+      { headers: headers(), timeout: TIMEOUT_MS }
+    );
+    return { ok: true };
+  } catch (error) {
+    // 4003: tracking already exists
+    if (error.response && error.response.data && error.response.data.meta && error.response.data.meta.code === 4003) {
+      return { ok: true };
+    }
+    const status = error.response ? error.response.status : null;
+    if (!status || status === 429 || status >= 500) throw error;
+
+    logger.error("Registering tracking number failed", { tracking: trackingNumber, error });
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Fetch current tracking data once. Same contract as the 17TRACK adapter.
+ */
+async function fetch(trackingNumber) {
+  const response = await axios.get(`${API_BASE_URL}/trackings`, {
+    headers: headers(),
+    params: { keyword: trackingNumber, limit: 1 },
+    timeout: TIMEOUT_MS
+  });
+
+  const trackings = (response.data.data && response.data.data.trackings) || [];
+  const match = trackings.find(t => t.tracking_number === trackingNumber);
+  if (!match) {
+    return { found: false };
+  }
+  return { found: true, raw: match };
+}
+
+/**
+ * Normalize an AfterShip tracking object into { status, status_text, carrier, events, estimated_delivery }.
+ * Checkpoints come oldest-first; we show newest-first like 17TRACK.
+ */
+function parse(tracking) {
+  if (!tracking) return { status: STATUS.UNKNOWN, status_text: "Unknown", carrier: "Unknown", events: [], estimated_delivery: null };
+
+  const events = (tracking.checkpoints || []).map(cp => ({
+    time: cp.checkpoint_time || "",
+    desc: cp.message || "",
+    location: cp.location || [cp.city, cp.state, cp.country_name].filter(Boolean).join(", "),
+    country: cp.country_iso3 || ""
+  })).reverse();
+
+  let estimatedDelivery = null;
+  const eta = tracking.aftership_estimated_delivery_date;
+  if (eta && (eta.estimated_delivery_date_min || eta.estimated_delivery_date)) {
+    estimatedDelivery = {
+      from: eta.estimated_delivery_date_min || eta.estimated_delivery_date,
+      to: eta.estimated_delivery_date_max || eta.estimated_delivery_date,
+      source: "carrier"
+    };
+  } else if (tracking.expected_delivery) {
+    estimatedDelivery = { from: tracking.expected_delivery, to: tracking.expected_delivery, source: "carrier" };
+  }
+
+  return {
+    status: mapStatus(tracking),
+    status_text: TAG_TEXT[tracking.tag] || tracking.subtag_message || tracking.tag || "Unknown",
+    carrier: tracking.slug ? tracking.slug.toUpperCase() : "Unknown",
+    events,
+    estimated_delivery: estimatedDelivery
+  };
+}
+
+module.exports = {
+  name: "aftership",
+  isConfigured,
+  register,
+  fetch,
+  parse
+};
@@ -0,0 +1,76 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../logger");
+const metrics = require("../../utils/metrics");
+
+/**
+ * =========================
+ * Tracking Provider Registry
+ * =========================
+ * Every adapter exposes the same interface:
+ *   name              - registry key, also stored with each tracking result
+ *   isConfigured()    - true when credentials are present
+ *   register(number)  - { ok, error }; throws on vendor outage, like fetch
+ *   fetch(number)     - { found, raw }; throws on vendor outage / quota errors
+ *   parse(raw)        - { status, status_text, carrier, events, estimated_delivery } (our internal shape);
+ *                       status is a canonical STATUS value from utils/shipmentStatus,
+ *                       estimated_delivery is { from, to, source } or null,
+ *                       events are newest first: { time, desc, location, country }
+ *
+ * Vendor calls time out after PROVIDER_TIMEOUT_MS (default 10000), so a hung vendor fails
+ * and opens its circuit breaker (services/trackingService.js) instead of holding page views.
+ */
+const PROVIDERS = {};
+
+function registerProvider(provider) {
+  // Calls are counted and timed per provider for /metrics (quota and outage errors show up by reason)
+  PROVIDERS[provider.name] = {
+    ...provider,
+    fetch: (number) => metrics.timeUpstream(provider.name, "fetch", () => provider.fetch(number), r => (r.found ? "found" : "not_found")),
+    register: (number) => metrics.timeUpstream(provider.name, "register", () => provider.register(number), r => (r.ok ? "success" : "error"))
+  };
+}
+
+registerProvider(require("./track17"));
+registerProvider(require("./aftership"));
+
+const ROUTING_FILE = process.env.CARRIER_ROUTING_FILE || path.join(__dirname, "..", "..", "config", "carriers.json");
+
+function loadRouting() {
+  try {
+    return JSON.parse(fs.readFileSync(ROUTING_FILE, "utf8"));
+  } catch (e) {
+    logger.warn("Could not load carrier routing", { file: ROUTING_FILE, error: e });
+    return { default: Object.keys(PROVIDERS), routes: {} };
+  }
+}
+
+const routing = loadRouting();
+
+function getProvider(name) {
+  return PROVIDERS[name] || null;
+}
+
+/**
+ * Ordered list of configured providers to try for a carrier.
+ * `carrierHint` is the Shopify tracking_company (e.g. "USPS", "YunExpress");
+ * routes are matched case-insensitively by substring.
+ */
+function getProvidersFor(carrierHint) {
+  let names = routing.default || Object.keys(PROVIDERS);
+
+  if (carrierHint) {
+    const hint = String(carrierHint).toLowerCase().replace(/\s+/g, "");
+    const routeKey = Object.keys(routing.routes || {}).find(key => hint.includes(key.toLowerCase()));
+    if (routeKey) {
+      // Routed providers first, then the rest of the default chain as fallback
+      names = [...new Set([...routing.routes[routeKey], ...names])];
+    }
+  }
+
+  return names
+    .map(getProvider)
+    .filter(p => p && p.isConfigured());
+}
+
+module.exports = { getProvider, getProvidersFor, registerProvider };
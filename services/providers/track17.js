@@ -0,0 +1,245 @@
+const axios = require("axios");
+const { STATUS } = require("../../utils/shipmentStatus");
+const logger = require("../../logger").child({ component: "17TRACK" });
+
+const TRACK17_KEY = process.env.TRACK17_KEY;
+// Overridable so a local fake 17TRACK can stand in during development
+const API_BASE_URL = process.env.TRACK17_API_BASE || "https://api.17track.net/track/v2.4";
+// Applies to every call (getQuota passes its own, shorter one)
+const TIMEOUT_MS = parseInt(process.env.PROVIDER_TIMEOUT_MS, 10) || 10000;
+
+/**
+ * Map 17TRACK internal status codes to human readable strings
+ * 0: Not Found, 10: In Transit, 20: Expired, 30: Ready for Pickup, 
+ * 35: Undelivered, 40: Delivered, 50: Alert
+ */
+function getStatusText(code) {
+  const statusMap = {
+    0: "Not Found",
+    10: "In Transit",
+    20: "Expired",
+    30: "Ready for Pickup",
+    35: "Undelivered",
+    40: "Delivered",
+    50: "Alert"
+  };
+  return statusMap[code] || "Unknown";
+}
+
+// Legacy numeric status codes -> canonical status
+const LEGACY_STATUS = {
+  0: STATUS.UNKNOWN,
+  10: STATUS.IN_TRANSIT,
+  20: STATUS.EXPIRED,
+  30: STATUS.AVAILABLE_FOR_PICKUP,
+  35: STATUS.DELIVERY_FAILED,
+  40: STATUS.DELIVERED,
+  50: STATUS.EXCEPTION
+};
+
+/**
+ * Map v2.4 latest_status { status, sub_status } to the canonical status
+ */
+function mapStatus(latestStatus) {
+  const main = latestStatus.status;
+  const sub = latestStatus.sub_status || "";
+
+  switch (main) {
+    case "InfoReceived":
+      return STATUS.INFO_RECEIVED;
+    case "InTransit":
+      return sub.startsWith("InTransit_Customs") && sub !== "InTransit_CustomsReleased"
+        ? STATUS.CUSTOMS_HOLD
+        : STATUS.IN_TRANSIT;
+    case "OutForDelivery":
+      return STATUS.OUT_FOR_DELIVERY;
+    case "AvailableForPickup":
+      return STATUS.AVAILABLE_FOR_PICKUP;
+    case "DeliveryFailure":
+      return STATUS.DELIVERY_FAILED;
+    case "Delivered":
+      return STATUS.DELIVERED;
+    case "Expired":
+      return STATUS.EXPIRED;
+    case "Exception":
+      return sub === "Exception_Returning" || sub === "Exception_Returned"
+        ? STATUS.RETURNED_TO_SENDER
+        : STATUS.EXCEPTION;
+    default:
+      return STATUS.UNKNOWN;
+  }
+}
+
+function isConfigured() {
+  return !!TRACK17_KEY && TRACK17_KEY !== "YOUR_17TRACK_KEY_HERE";
+}
+
+function post(endpoint, body, { timeout = TIMEOUT_MS } = {}) {
+  return axios.post(`${API_BASE_URL}/${endpoint}`, body, {
+    timeout,
+    headers: {
+      "17token": TRACK17_KEY,
+      "Content-Type": "application/json",
+      ...logger.requestHeaders()
+    }
+  });
+}
+
+/**
+ * Register a tracking number with 17TRACK.
+ * Resolves { ok, error } when 17TRACK answers; throws on transport errors like fetch().
+ */
+async function register(trackingNumber) {
+  if (!isConfigured()) {
+    logger.warn("Missing TRACK17_KEY in .env");
+    return { ok: false, error: "API Key not configured" };
+  }
+
+  const response = await post("register", [{ number: trackingNumber }]);
+
+  const data = response.data;
+  if (data.code === 0 && data.data.accepted.length > 0) {
+    return { ok: true };
+  } else {
+    // Check if it was rejected because it's already registered (Error -18019903 usually)
+    const rejected = (data.data && data.data.rejected) || [];
+    const isAlreadyRegistered = rejected.some(r => r.error && r.error.code === -18019903);
+    
+    if (isAlreadyRegistered) {
+      return { ok: true };
+    }
+    
+    return { ok: false, error: "Registration failed" };
+  }
+}
+
+/**
+ * Fetch current tracking data once.
+ * Resolves { found, raw }; throws on transport errors and account-level
+ * failures (bad key, quota exhausted) so the caller can fail over.
+ */
+async function fetch(trackingNumber) {
+  const response = await post("gettrackinfo", [{ number: trackingNumber }]);
+  const data = response.data;
+
+  if (data.code !== 0) {
+    const error = new Error(`17TRACK error code ${data.code}`);
+    error.upstreamCode = data.code;
+    throw error;
+  }
+
+  if (data.data.accepted.length > 0) {
+    const item = data.data.accepted[0];
+    return { found: true, raw: item.track_info || item.track };
+  }
+  return { found: false };
+}
+
+/**
+ * Change tracking information (e.g., language)
+ */
+async function changeTrackingInfo(trackingNumber, langCode) {
+  if (!isConfigured()) {
+    return { ok: false, error: "API Key not configured" };
+  }
+
+  try {
+    const response = await post("changeinfo", [{ number: trackingNumber, lang: langCode }]);
+
+    const data = response.data;
+    if (data.code === 0 && data.data.accepted.length > 0) {
+      return { ok: true };
+    } else {
+      return { ok: false, error: "Change info failed" };
+    }
+  } catch (error) {
+    logger.error("Changing tracking info failed", { tracking: trackingNumber, error });
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Account quota (also a cheap reachability check for /readyz).
+ * Resolves { ok, total, used, remaining } or { ok: false, error }; does not consume quota.
+ */
+async function getQuota({ timeout = 5000 } = {}) {
+  if (!isConfigured()) {
+    return { ok: false, error: "API Key not configured" };
+  }
+
+  try {
+    const response = await post("getquota", {}, { timeout });
+    const data = response.data;
+    if (data.code !== 0 || !data.data) {
+      return { ok: false, error: `17TRACK error code ${data.code}` };
+    }
+    return { ok: true, total: data.data.quota_total, used: data.data.quota_used, remaining: data.data.quota_remain };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+}
+
+/**
+ * Normalize a 17TRACK track_info payload into { status, status_text, carrier, events, estimated_delivery }.
+ * Shared by the pull API (gettrackinfo) and webhook pushes.
+ */
+function parse(trackData) {
+  let events = [];
+  let status = STATUS.UNKNOWN;
+  let statusText = "Unknown";
+  let carrier = "Unknown";
+  let estimatedDelivery = null;
+
+  if (!trackData) return { status, status_text: statusText, carrier, events, estimated_delivery: estimatedDelivery };
+
+  // Case 1: V2.4 Standard Structure (track_info)
+  if (trackData.tracking && trackData.tracking.providers) {
+      // Get events from first provider
+      const providerData = trackData.tracking.providers[0];
+      if (providerData && providerData.events) {
+          events = providerData.events.map(e => ({
+              time: e.time_iso || e.time_utc || "",
+              desc: e.description || "",
+              location: e.location || "",
+              country: (e.address && e.address.country) || ""
+          }));
+      }
+      
+      if (providerData && providerData.provider) {
+          carrier = providerData.provider.name || providerData.provider.alias || "Carrier ID: " + providerData.provider.key;
+      }
+
+      if (trackData.latest_status) {
+          status = mapStatus(trackData.latest_status);
+          statusText = trackData.latest_status.status_description || trackData.latest_status.status || "Unknown";
+      }
+
+      // Carrier / 17TRACK delivery estimate, when they have one
+      const eta = trackData.time_metrics && trackData.time_metrics.estimated_delivery_date;
+      if (eta && (eta.from || eta.to)) {
+          estimatedDelivery = { from: eta.from || eta.to, to: eta.to || eta.from, source: "carrier" };
+      }
+  } 
+  // Case 2: Legacy/Minified Structure (fallback)
+  else if (trackData.z0) {
+      events = (trackData.z0 || []).map(e => ({
+        time: e.a || "", 
+        desc: e.z || ""
+      }));
+      status = LEGACY_STATUS[trackData.e] || STATUS.UNKNOWN;
+      statusText = getStatusText(trackData.e);
+      carrier = "Carrier ID: " + trackData.w1;
+  }
+
+  return { status, status_text: statusText, carrier, events, estimated_delivery: estimatedDelivery };
+}
+
+module.exports = {
+  name: "17track",
+  isConfigured,
+  register,
+  fetch,
+  parse,
+  changeTrackingInfo,
+  getQuota
+};
@@ -0,0 +1,286 @@
+const { createJsonStore } = require('../utils/jsonStore');
+const trackingStore = require('../utils/trackingStore');
+const shipmentStatus = require('../utils/shipmentStatus');
+const { STATUS } = shipmentStatus;
+const shopStore = require('./shopStore');
+const orderIndex = require('./orderIndex');
+const { listRecentFulfillments } = require('./shopifyService');
+const { pullTracking } = require('./trackingService');
+const shopifyWriteback = require('./shopifyWriteback');
+const logger = require('../logger').child({ component: 'Refresher' });
+
+/**
+ * =========================
+ * Background Tracking Refresher
+ * =========================
+ * Without it, numbers are only fetched when a customer first opens the tracking page.
+ * Each run:
+ *   1. pulls fulfillments updated since the last sync from every shop we have credentials for
+ *      and adds their tracking numbers as jobs,
+ *   2. pulls due jobs from the provider chain (registering unknown numbers ahead of time),
+ *   3. reschedules them with backoff: the interval doubles while nothing changes and resets
+ *      when the shipment moves,
+ *   4. retires jobs once the shipment is delivered, stopped or expired, or too old to follow.
+ *   5. retries Shopify fulfillment events whose write-back failed (services/shopifyWriteback.js).
+ *
+ * Jobs and per-shop sync times are persisted, so a restart resumes where it left off.
+ * Runs in-process every REFRESH_JOB_INTERVAL_MINUTES, or once per invocation of
+ * `npm run refresh` (set REFRESH_JOB_INTERVAL_MINUTES=0 when cron drives it instead,
+ * so the server and the script don't both write the stores).
+ */
+const INTERVAL_MINUTES = parseInt(process.env.REFRESH_JOB_INTERVAL_MINUTES || '15', 10);
+const LOOKBACK_DAYS = parseInt(process.env.REFRESH_LOOKBACK_DAYS, 10) || 30;
+const MAX_AGE_DAYS = parseInt(process.env.REFRESH_MAX_AGE_DAYS, 10) || 60;
+const BACKOFF_BASE_MINUTES = parseInt(process.env.REFRESH_BACKOFF_MINUTES, 10) || 30;
+const BACKOFF_MAX_HOURS = parseInt(process.env.REFRESH_BACKOFF_MAX_HOURS, 10) || 24;
+const BATCH_SIZE = parseInt(process.env.REFRESH_BATCH_SIZE, 10) || 50;
+
+// Re-read a little before the last sync so orders updated mid-run are not missed
+const SYNC_OVERLAP_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// tracking -> { tracking, shop, carrier, order, shipped_at, added_at, attempts, next_run_at,
+//               last_run_at, last_status, last_error, done_at, done_reason }
+const jobs = createJsonStore('refresh_jobs');
+// "shop:<domain>" -> { synced_at }, "last_run" -> run summary
+const state = createJsonStore('refresh_state');
+
+let running = null;
+let timer = null;
+
+/**
+ * Wait before the next pull: base * 2^attempts, capped
+ */
+function backoffMs(attempts) {
+    return Math.min(BACKOFF_BASE_MINUTES * Math.pow(2, attempts), BACKOFF_MAX_HOURS * 60) * 60 * 1000;
+}
+
+function isTooOld(job) {
+    const since = new Date(job.shipped_at || job.added_at).getTime();
+    return Date.now() - since > MAX_AGE_DAYS * DAY_MS;
+}
+
+/**
+ * Why a stored result needs no more pulls, or null while it can still change
+ */
+function finishedReason(stored) {
+    if (!stored) return null;
+    const status = shipmentStatus.normalize(stored.status);
+    if (status === STATUS.DELIVERED) return 'delivered';
+    if (status === STATUS.EXPIRED) return 'expired';
+    if (stored.stopped) return 'stopped';
+    return null;
+}
+
+/**
+ * Shops with Admin API credentials: installed shops plus the env-configured store
+ */
+function shopsToSync() {
+    const domains = new Set(shopStore.listShops().map(s => s.shop));
+    const envShop = shopStore.resolveShop(null);
+    if (envShop) domains.add(envShop);
+    return [...domains].filter(domain => shopStore.getShopCredentials(domain));
+}
+
+/**
+ * Index a fulfillment (as listed by listRecentFulfillments) and add a job for its number.
+ * Returns the new job, or null when it is already followed or too old to follow.
+ */
+function addJob(shop, f) {
+    orderIndex.rememberFulfillment({
+        tracking: f.tracking_number,
+        shop,
+        order_id: f.order_id,
+        order_name: f.order_name,
+        fulfillment_id: f.fulfillment_id,
+        carrier: f.tracking_company
+    });
+    if (jobs.has(f.tracking_number)) return null;
+
+    const job = {
+        tracking: f.tracking_number,
+        shop,
+        carrier: f.tracking_company || null,
+        order: f.order_name,
+        shipped_at: f.shipped_at,
+        added_at: new Date().toISOString(),
+        attempts: 0,
+        next_run_at: new Date().toISOString()
+    };
+    if (isTooOld(job)) return null;
+
+    return jobs.set(job.tracking, job);
+}
+
+/**
+ * Add jobs for new fulfillments of one shop; resolves the number of jobs added
+ */
+async function syncShop(shop, startedAt) {
+    const previous = state.get(`shop:${shop}`);
+    const since = previous
+        ? new Date(new Date(previous.synced_at).getTime() - SYNC_OVERLAP_MS)
+        : new Date(startedAt - LOOKBACK_DAYS * DAY_MS);
+
+    const result = await listRecentFulfillments(shop, { since: since.toISOString() });
+    if (!result.ok) {
+        logger.warn('Could not list fulfillments', { shop, error: result.error });
+        return 0;
+    }
+
+    let added = 0;
+    result.fulfillments.forEach(f => {
+        if (addJob(shop, f)) added++;
+    });
+
+    state.set(`shop:${shop}`, { synced_at: new Date(startedAt).toISOString() });
+    return added;
+}
+
+/**
+ * Pull one due job and reschedule or retire it; resolves 'changed' | 'unchanged' | 'failed' | 'done'
+ */
+async function refreshJob(job) {
+    const now = Date.now();
+    const before = trackingStore.getTracking(job.tracking);
+
+    const retire = (reason) => {
+        jobs.set(job.tracking, { ...job, last_run_at: new Date(now).toISOString(), done_at: new Date(now).toISOString(), done_reason: reason });
+        return 'done';
+    };
+
+    if (finishedReason(before)) return retire(finishedReason(before));
+    if (isTooOld(job)) return retire('too_old');
+
+    // A provider webhook updated it since our last look: no need to spend a pull
+    const pushedSince = before && job.last_run_at && new Date(before.updated_at) > new Date(job.last_run_at);
+
+    let outcome;
+    let lastError = null;
+    if (pushedSince) {
+        outcome = 'changed';
+    } else {
+        const lookup = await pullTracking(job.tracking, job.carrier);
+        if (!lookup.ok) {
+            outcome = 'failed';
+            lastError = lookup.error;
+        } else if (lookup.registered) {
+            outcome = 'changed';
+        } else {
+            const after = lookup.stored;
+            const moved = !before || after.status !== before.status || (after.events || []).length !== (before.events || []).length;
+            outcome = moved ? 'changed' : 'unchanged';
+        }
+    }
+
+    const current = trackingStore.getTracking(job.tracking);
+    if (finishedReason(current)) return retire(finishedReason(current));
+
+    const attempts = outcome === 'changed' ? 0 : job.attempts + 1;
+    jobs.set(job.tracking, {
+        ...job,
+        attempts,
+        last_run_at: new Date(now).toISOString(),
+        last_status: current ? shipmentStatus.normalize(current.status) : null,
+        last_error: lastError,
+        next_run_at: new Date(now + backoffMs(attempts)).toISOString()
+    });
+    return outcome;
+}
+
+async function run() {
+    const startedAt = Date.now();
+    const summary = { started_at: new Date(startedAt).toISOString(), shops: 0, added: 0, refreshed: 0, changed: 0, failed: 0, done: 0, writeback_retried: 0 };
+
+    // 1. New fulfillments
+    for (const shop of shopsToSync()) {
+        summary.shops++;
+        summary.added += await syncShop(shop, startedAt);
+    }
+
+    // 2. Due jobs (including the ones just added), oldest schedule first
+    const now = Date.now();
+    const due = jobs.values()
+        .filter(job => !job.done_at && new Date(job.next_run_at).getTime() <= now)
+        .sort((a, b) => new Date(a.next_run_at) - new Date(b.next_run_at))
+        .slice(0, BATCH_SIZE);
+
+    for (const job of due) {
+        try {
+            const outcome = await refreshJob(job);
+            summary.refreshed++;
+            if (outcome === 'changed') summary.changed++;
+            if (outcome === 'failed') summary.failed++;
+            if (outcome === 'done') summary.done++;
+        } catch (error) {
+            summary.failed++;
+            logger.error('Refresh failed', { tracking: job.tracking, error });
+        }
+    }
+
+    // 3. Fulfillment events Shopify rejected or timed out on earlier
+    await trackingStore.whenIdle();
+    summary.writeback_retried = await shopifyWriteback.retryFailed();
+
+    summary.finished_at = new Date().toISOString();
+    state.set('last_run', summary);
+    logger.info('Run finished', summary);
+    return summary;
+}
+
+/**
+ * Run once now; overlapping calls share the run in progress
+ */
+function runOnce() {
+    if (!running) {
+        running = run().finally(() => { running = null; });
+    }
+    return running;
+}
+
+/**
+ * Follow a fulfillment pushed by a Shopify webhook: a new number is pulled (and so registered
+ * with its provider) right away instead of waiting for the next run
+ */
+function trackFulfillment(shop, f) {
+    const job = addJob(shop, f);
+    if (!job) return;
+
+    refreshJob(job).catch(error => logger.error('Refresh failed', { tracking: job.tracking, error }));
+}
+
+/**
+ * Schedule in-process runs (first one shortly after boot)
+ */
+function start() {
+    if (!(INTERVAL_MINUTES > 0)) {
+        logger.info('In-process schedule disabled (REFRESH_JOB_INTERVAL_MINUTES=0)');
+        return;
+    }
+
+    const tick = () => {
+        runOnce()
+            .catch(error => logger.error('Run failed', { error }))
+            .finally(() => {
+                timer = setTimeout(tick, INTERVAL_MINUTES * 60 * 1000);
+                if (timer.unref) timer.unref();
+            });
+    };
+    timer = setTimeout(tick, 30 * 1000);
+    if (timer.unref) timer.unref();
+    logger.info('Scheduled', { interval_minutes: INTERVAL_MINUTES });
+}
+
+function stop() {
+    clearTimeout(timer);
+    timer = null;
+}
+
+function getJob(tracking) {
+    return jobs.get(tracking) || null;
+}
+
+function listJobs(shop) {
+    return jobs.values().filter(job => !shop || job.shop === shop);
+}
+
+module.exports = { start, stop, runOnce, trackFulfillment, getJob, listJobs, backoffMs };
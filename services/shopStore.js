@@ -0,0 +1,104 @@
+const { createJsonStore } = require('../utils/jsonStore');
+
+/**
+ * =========================
+ * Installed Shops
+ * =========================
+ * One entry per shop that installed the app through OAuth (routes/auth.js):
+ *   { shop, accessToken, scope, installed_at, settings }
+ *
+ * The single-store env config (SHOPIFY_SHOP_DOMAIN / SHOPIFY_ACCESS_TOKEN) still works
+ * as a fallback, so existing deployments keep running without an install.
+ */
+const store = createJsonStore('shops');
+
+const ENV_SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN; // e.g., "my-store.myshopify.com"
+const ENV_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+
+function normalizeShop(shop) {
+    if (!shop) return null;
+    return String(shop).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/$/, '');
+}
+
+function getShop(shop) {
+    return store.get(normalizeShop(shop)) || null;
+}
+
+function saveShop(shop, { accessToken, scope }) {
+    const key = normalizeShop(shop);
+    const previous = store.get(key) || {};
+    return store.set(key, {
+        settings: {},
+        ...previous,
+        shop: key,
+        accessToken,
+        scope,
+        installed_at: new Date().toISOString()
+    });
+}
+
+function removeShop(shop) {
+    store.delete(normalizeShop(shop));
+}
+
+function listShops() {
+    return store.values();
+}
+
+/**
+ * Resolve the shop a request is for.
+ * App Proxy requests carry `shop`; without it we fall back to the env-configured store.
+ */
+function resolveShop(shop) {
+    return normalizeShop(shop) || normalizeShop(ENV_SHOP_DOMAIN);
+}
+
+/**
+ * Admin API credentials for a shop: { domain, accessToken } or null
+ */
+function getShopCredentials(shop) {
+    const domain = resolveShop(shop);
+    if (!domain) return null;
+
+    const installed = store.get(domain);
+    if (installed && installed.accessToken) {
+        return { domain, accessToken: installed.accessToken };
+    }
+
+    if (ENV_ACCESS_TOKEN && domain === normalizeShop(ENV_SHOP_DOMAIN)) {
+        return { domain, accessToken: ENV_ACCESS_TOKEN };
+    }
+    return null;
+}
+
+/**
+ * False only when no Shopify credentials are configured at all (no env token, no installed shop):
+ * local development, where lookups fall back to mock orders
+ */
+function hasAnyCredentials() {
+    return !!ENV_ACCESS_TOKEN || listShops().some(installed => installed.accessToken);
+}
+
+function getShopSettings(shop) {
+    const installed = getShop(resolveShop(shop));
+    return (installed && installed.settings) || {};
+}
+
+function updateShopSettings(shop, changes) {
+    const key = resolveShop(shop);
+    const installed = store.get(key) || { shop: key };
+    return store.set(key, { ...installed, settings: { ...(installed.settings || {}), ...changes } }).settings;
+}
+
+module.exports = {
+    normalizeShop,
+    resolveShop,
+    getShop,
+    saveShop,
+    removeShop,
+    listShops,
+    getShopCredentials,
+    hasAnyCredentials,
+    getShopSettings,
+    updateShopSettings
+};
@@ -1,198 +1,348 @@
 const axios = require('axios');
 const cache = require('../utils/cache');
+const { STATUS, fromShopify } = require('../utils/shipmentStatus');
+const { getShopCredentials, hasAnyCredentials } = require('./shopStore');
+const orderIndex = require('./orderIndex');
+const logger = require('../logger').child({ component: 'Shopify' });
+const { timeUpstream } = require('../utils/metrics');
+
+// Pinned Admin API version; bump deliberately after checking the release notes
+const API_VERSION = process.env.SHOPIFY_API_VERSION || '2025-01';
+
+// Send Admin API calls to another host instead of https://<shop> (a local mock Admin API in tests)
+const API_BASE_URL = (process.env.SHOPIFY_API_BASE_URL || '').replace(/\/$/, '');
+
+// Shopify rejects a query whose requested cost is over 1000 points; a connection costs about
+// `first` x one node, so nested connections stay small and the *_PAGE_QUERY documents load the rest.
+const SEARCH_PAGE_SIZE = 10; // shallow order search, ~55 points per order
+const ORDER_LINE_ITEMS = 25; // on the order query, ~7 points per line item
+const ORDER_FULFILLMENTS = 20; // on the order query, ~27 points per fulfillment (not paginated by Shopify)
+const FULFILLMENT_LINE_ITEMS = 10; // per fulfillment on the order query
+const PAGE_SIZE = 50; // follow-up pages of line items and fulfillment line items
+const RECENT_ORDERS_PAGE_SIZE = 25; // refresher listing of recently updated orders
+const RECENT_ORDER_FULFILLMENTS = 5; // fulfillments per order in that listing
+// Max candidate orders to inspect for a broad tracking number search
+const MAX_TRACKING_CANDIDATES = 25;
 
-const SHOPIFY_ACCESS_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
-const SHOP_DOMAIN = process.env.SHOPIFY_SHOP_DOMAIN; // e.g., "my-store.myshopify.com"
-const API_VERSION = '2024-01';
+/**
+ * POST a GraphQL query to a shop's Admin API and return `data`
+ * `creds` comes from getShopCredentials: { domain, accessToken }
+ */
+async function shopifyGraphql(creds, query, variables = {}) {
+    const base = API_BASE_URL || `https://${creds.domain}`;
+    return timeUpstream('shopify', 'graphql', async () => {
+        const response = await axios.post(`${base}/admin/api/${API_VERSION}/graphql.json`, { query, variables }, {
+            headers: {
+                'X-Shopify-Access-Token': creds.accessToken,
+                'Content-Type': 'application/json',
+                ...logger.requestHeaders()
+            }
+        });
+
+        if (response.data.errors) {
+            const message = Array.isArray(response.data.errors)
+                ? response.data.errors.map(e => e.message).join('; ')
+                : JSON.stringify(response.data.errors);
+            const error = new Error(`GraphQL error: ${message}`);
+            // THROTTLED is Shopify's rate limit; anything else is a query problem
+            error.upstreamCode = Array.isArray(response.data.errors) && response.data.errors.some(e => e.extensions && e.extensions.code === 'THROTTLED')
+                ? 'throttled'
+                : 'graphql_error';
+            throw error;
+        }
+        return response.data.data;
+    });
+}
 
 /**
- * Get order details by Name (e.g. #1001) and Email
+ * =========================
+ * GraphQL Documents
+ * =========================
  */
-async function getOrderByNameAndEmail(orderName, email) {
-    // 1. Mock Data for demonstration if no token provided or specific test case
-    if (!SHOPIFY_ACCESS_TOKEN || orderName === '#155420') {
-        if (!SHOPIFY_ACCESS_TOKEN) {
-            console.warn("⚠️ SHOPIFY_ACCESS_TOKEN not set. Returning Mock Data.");
+const LINE_ITEM_FIELDS = `
+    id
+    title
+    quantity
+    variantTitle
+    sku
+    originalUnitPriceSet { shopMoney { amount currencyCode } }
+    image { url }
+    variant {
+      id
+      image { url }
+      product { featuredImage { url } }
+    }
+`;
+
+const FULFILLMENT_LINE_ITEM_FIELDS = `
+    quantity
+    lineItem { id }
+`;
+
+const ORDER_FIELDS = `
+    id
+    name
+    email
+    customer { email }
+    createdAt
+    currencyCode
+    shippingAddress { country countryCodeV2 }
+    lineItems(first: ${ORDER_LINE_ITEMS}) {
+      pageInfo { hasNextPage endCursor }
+      edges { node { ${LINE_ITEM_FIELDS} } }
+    }
+    fulfillments(first: ${ORDER_FULFILLMENTS}) {
+      id
+      createdAt
+      displayStatus
+      trackingInfo(first: 3) { number company url }
+      fulfillmentLineItems(first: ${FULFILLMENT_LINE_ITEMS}) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ${FULFILLMENT_LINE_ITEM_FIELDS} } }
+      }
+    }
+`;
+
+// Only what's needed to pick the right order; the match is then loaded with ORDER_BY_ID_QUERY
+const ORDERS_SEARCH_QUERY = `
+  query searchOrders($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: CREATED_AT, reverse: true) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          name
+          email
+          customer { email }
+          fulfillments(first: 10) { trackingInfo(first: 3) { number } }
         }
-        return getMockOrder(orderName);
+      }
     }
+  }
+`;
+
+const ORDER_BY_ID_QUERY = `
+  query orderById($id: ID!) {
+    order(id: $id) { ${ORDER_FIELDS} }
+  }
+`;
+
+const ORDER_LINE_ITEMS_PAGE_QUERY = `
+  query orderLineItems($id: ID!, $after: String) {
+    order(id: $id) {
+      lineItems(first: ${PAGE_SIZE}, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ${LINE_ITEM_FIELDS} } }
+      }
+    }
+  }
+`;
+
+const FULFILLMENT_LINE_ITEMS_PAGE_QUERY = `
+  query fulfillmentLineItems($id: ID!, $after: String) {
+    fulfillment(id: $id) {
+      fulfillmentLineItems(first: ${PAGE_SIZE}, after: $after) {
+        pageInfo { hasNextPage endCursor }
+        edges { node { ${FULFILLMENT_LINE_ITEM_FIELDS} } }
+      }
+    }
+  }
+`;
+
+// A fulfillment without its line items (~5 points)
+const FULFILLMENT_SUMMARY_FIELDS = `
+    id
+    createdAt
+    displayStatus
+    trackingInfo(first: 3) { number company url }
+`;
+
+// ~27 points per order; orders that hit the fulfillment limit are completed with ORDER_FULFILLMENTS_QUERY
+const RECENT_FULFILLMENTS_QUERY = `
+  query recentFulfillments($query: String!, $first: Int!, $after: String) {
+    orders(first: $first, after: $after, query: $query, sortKey: UPDATED_AT) {
+      pageInfo { hasNextPage endCursor }
+      edges {
+        node {
+          id
+          name
+          fulfillments(first: ${RECENT_ORDER_FULFILLMENTS}) { ${FULFILLMENT_SUMMARY_FIELDS} }
+        }
+      }
+    }
+  }
+`;
 
-    if (!SHOP_DOMAIN) {
-        return { ok: false, error: "Shop Domain not configured" };
+const ORDER_FULFILLMENTS_QUERY = `
+  query orderFulfillments($id: ID!) {
+    order(id: $id) {
+      fulfillments(first: 100) { ${FULFILLMENT_SUMMARY_FIELDS} }
     }
+  }
+`;
 
-    // --- Cache Check ---
-    const cacheKey = `order_ne_${orderName}_${email}`;
-    const cachedData = cache.get(cacheKey);
-    if (cachedData) {
-        console.log(`[Cache] Hit for order: ${orderName} / ${email}`);
-        return cachedData;
+/**
+ * Follow a connection's cursor until every node is loaded.
+ * `fetchPage(after)` returns the same connection for the next page.
+ */
+async function collectConnection(firstPage, fetchPage) {
+    const nodes = firstPage.edges.map(e => e.node);
+    let pageInfo = firstPage.pageInfo;
+
+    while (pageInfo && pageInfo.hasNextPage) {
+        const page = await fetchPage(pageInfo.endCursor);
+        nodes.push(...page.edges.map(e => e.node));
+        pageInfo = page.pageInfo;
     }
-    // -------------------
+    return nodes;
+}
 
-    try {
-        const cleanDomain = SHOP_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
-        const url = `https://${cleanDomain}/admin/api/${API_VERSION}/orders.json?status=any&name=${encodeURIComponent(orderName)}`;
-        
-        const response = await axios.get(url, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+// Stands in for fulfillment line items that still have to be loaded, from the first page
+const UNLOADED_CONNECTION = { edges: [], pageInfo: { hasNextPage: true, endCursor: null } };
+
+/**
+ * Load the remaining pages of an order's line items and fulfillment line items.
+ * Shopify doesn't paginate Order.fulfillments, so an order at the ORDER_FULFILLMENTS limit gets
+ * its full fulfillment list from ORDER_FULFILLMENTS_QUERY, and the line items of the extra ones
+ * page by page.
+ */
+async function loadFullOrder(creds, node) {
+    const lineItems = await collectConnection(node.lineItems, async (after) =>
+        (await shopifyGraphql(creds, ORDER_LINE_ITEMS_PAGE_QUERY, { id: node.id, after })).order.lineItems
+    );
+
+    let orderFulfillments = node.fulfillments || [];
+    if (orderFulfillments.length >= ORDER_FULFILLMENTS) {
+        const loaded = new Map(orderFulfillments.map(f => [f.id, f]));
+        const all = (await shopifyGraphql(creds, ORDER_FULFILLMENTS_QUERY, { id: node.id })).order.fulfillments;
+        orderFulfillments = all.map(f => loaded.get(f.id) || { ...f, fulfillmentLineItems: UNLOADED_CONNECTION });
+    }
 
-        const orders = response.data.orders;
-        
-        // Find the specific order that matches email (case insensitive)
-        const order = orders.find(o => 
-            (o.email && o.email.toLowerCase() === email.toLowerCase()) || 
-            (o.contact_email && o.contact_email.toLowerCase() === email.toLowerCase())
-        );
+    const fulfillments = await Promise.all(orderFulfillments.map(async (f) => ({
+        ...f,
+        fulfillmentLineItems: await collectConnection(f.fulfillmentLineItems, async (after) =>
+            (await shopifyGraphql(creds, FULFILLMENT_LINE_ITEMS_PAGE_QUERY, { id: f.id, after })).fulfillment.fulfillmentLineItems
+        )
+    })));
 
-        if (!order) {
-            return { ok: false, error: "Order not found or email does not match." };
-        }
+    return { ...node, lineItems, fulfillments };
+}
+
+/**
+ * One order by GraphQL id with every line item and fulfillment line item, or null
+ */
+async function loadOrder(creds, id) {
+    const data = await shopifyGraphql(creds, ORDER_BY_ID_QUERY, { id });
+    return data.order ? loadFullOrder(creds, data.order) : null;
+}
 
-        // We need to fetch product images separately or rely on what's available
-        // Usually line_items in Order API don't have full image URLs, just product_id/variant_id.
-        // For better UX, let's fetch product images if possible, or just use placeholders.
-        // To keep it simple and fast, we will try to match line items to fulfillments.
-        
-        const result = await processOrderData(order, cleanDomain, SHOPIFY_ACCESS_TOKEN);
-        
-        // Cache result (5 mins)
-        if (result.ok) {
-            cache.set(cacheKey, result, 300);
+/**
+ * Search orders page by page; `accept(node)` sees the shallow search fields and the first
+ * accepted order is returned fully loaded
+ */
+async function searchOrders(creds, searchQuery, { limit = 10, accept = () => true } = {}) {
+    let after = null;
+    let inspected = 0;
+
+    do {
+        const first = Math.min(limit - inspected, SEARCH_PAGE_SIZE);
+        const data = await shopifyGraphql(creds, ORDERS_SEARCH_QUERY, { query: searchQuery, first, after });
+        const connection = data.orders;
+
+        for (const { node } of connection.edges) {
+            inspected++;
+            if (accept(node)) {
+                return loadOrder(creds, node.id);
+            }
         }
-        return result;
 
-    } catch (error) {
-        console.error("Shopify API Error:", error.response?.data || error.message);
-        return { ok: false, error: "Failed to fetch order from Shopify." };
-    }
+        after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+    } while (after && inspected < limit);
+
+    return null;
 }
 
 /**
- * Process Shopify Order Object into our App's Internal Format
+ * =========================
+ * Order Mapping
+ * =========================
+ * The one mapper from a (fully loaded) GraphQL order to our internal shape:
+ *   { id, name, email, contact_email, created_at, destination, destination_code, items, packages }
  */
-async function processOrderData(order, shopDomain, token) {
-    // Helper to get image URL (basic implementation)
-    // Ideally we would batch fetch products, but for MVP we might skip or do simple lookup
-    // If we have access to the Product API, we can fetch images.
-    
-    // 1. Extract Line Items map for easy lookup
+function gidToId(gid) {
+    return String(gid).split('/').pop();
+}
+
+/**
+ * Whether `email` is the order's email or its customer's contact email (case insensitive)
+ */
+function emailMatches(addresses, email) {
+    const wanted = String(email).trim().toLowerCase();
+    return addresses.some(address => address && address.toLowerCase() === wanted);
+}
+
+function mapOrder(node) {
+    // 1. Line Items, keyed by GraphQL id
     const lineItemsMap = {};
-    order.line_items.forEach(item => {
+    node.lineItems.forEach(item => {
+        const price = item.originalUnitPriceSet && item.originalUnitPriceSet.shopMoney;
+        const variantImage = item.variant && item.variant.image && item.variant.image.url;
+        const productImage = item.variant && item.variant.product && item.variant.product.featuredImage && item.variant.product.featuredImage.url;
+
         lineItemsMap[item.id] = {
-            id: item.id,
-            name: item.name,
+            id: gidToId(item.id),
+            name: item.title,
+            variant_title: item.variantTitle,
+            sku: item.sku,
             quantity: item.quantity,
-            price: item.price,
-            currency: order.currency,
-            product_id: item.product_id,
-            variant_id: item.variant_id,
-            image: null // To be filled
+            price: price ? price.amount : null,
+            currency: price ? price.currencyCode : node.currencyCode,
+            variant_id: item.variant ? gidToId(item.variant.id) : null,
+            // Variant image first, then the line item / product image
+            image: variantImage || (item.image && item.image.url) || productImage || null
         };
     });
 
-    // 2. Fetch Images (Optional Enhancement)
-    // Collect all product IDs
-    const productIds = [...new Set(order.line_items.map(item => item.product_id).filter(Boolean))];
-    
-    if (productIds.length > 0) {
-        try {
-            const idsString = productIds.join(',');
-            const productsUrl = `https://${shopDomain}/admin/api/${API_VERSION}/products.json?ids=${idsString}&fields=id,image,images`;
-            
-            const prodResponse = await axios.get(productsUrl, {
-                headers: {
-                    'X-Shopify-Access-Token': token,
-                    'Content-Type': 'application/json'
-                }
+    // 2. Fulfillments (Packages) - one per tracking number
+    // Fulfillments without a tracking number are not packages yet: their items stay "Processing"
+    const shipped = node.fulfillments.filter(f => f.displayStatus !== 'CANCELED' && f.trackingInfo.some(t => t.number));
+    const packages = [];
+    shipped.forEach(f => {
+        const packageItems = f.fulfillmentLineItems.map(fli => ({
+            ...lineItemsMap[fli.lineItem.id],
+            quantity: fli.quantity // Use the quantity in this specific shipment
+        })).filter(item => item.name);
+
+        f.trackingInfo.filter(t => t.number).forEach(t => {
+            packages.push({
+                id: f.id,
+                name: `Package #${packages.length + 1}`,
+                number: packages.length + 1,
+                tracking_number: t.number,
+                tracking_company: t.company,
+                tracking_url: t.url,
+                status: fromShopify(f.displayStatus ? f.displayStatus.toLowerCase() : null),
+                status_text: f.displayStatus ? f.displayStatus.toLowerCase() : 'fulfilled',
+                shipped_at: f.createdAt,
+                items: packageItems // Attach items specifically to this package
             });
-
-            const products = prodResponse.data.products || [];
-            
-            // Map product images back to line items
-            products.forEach(prod => {
-                // Find matching line items
-                Object.values(lineItemsMap).forEach(li => {
-                    // Use String comparison to be safe (API sometimes returns numbers, sometimes strings)
-                    if (String(li.product_id) === String(prod.id)) {
-                        
-                        // 1. Try to find Variant Image first
-                        let variantImage = null;
-                        if (li.variant_id && prod.images && prod.images.length > 0) {
-                             const vImg = prod.images.find(img => img.variant_ids && img.variant_ids.includes(li.variant_id));
-                             if (vImg) {
-                                 variantImage = vImg.src;
-                             }
-                        }
-
-                        // 2. Fallback to Main Product Image
-                        if (variantImage) {
-                            li.image = variantImage;
-                        } else if (prod.image && prod.image.src) {
-                            li.image = prod.image.src;
-                        }
-                    }
-                });
-            });
-            
-        } catch (error) {
-            if (error.response && error.response.status === 403) {
-                console.warn("⚠️ Failed to fetch product images. Missing Scope? Ensure 'read_products' is added to your API Scopes.");
-                console.warn("Details:", JSON.stringify(error.response.data));
-            } else {
-                console.warn("Failed to fetch product images:", error.message);
-            }
-            // Continue without images rather than failing the whole request
-        }
-    }
-    
-    // 3. Process Fulfillments (Packages)
-    // First, map existing fulfillments to packages
-    const packages = order.fulfillments.map((f, index) => {
-        // Find which items are in this fulfillment
-        const packageItems = f.line_items.map(li => {
-            const originalItem = lineItemsMap[li.id];
-            return {
-                ...originalItem,
-                quantity: li.quantity // Use the quantity in this specific shipment
-            };
         });
+    });
 
-        return {
-            id: f.id,
-            name: `Package #${index + 1}`,
-            tracking_number: f.tracking_number,
-            tracking_company: f.tracking_company,
-            tracking_url: f.tracking_url,
-            status: f.shipment_status || 'fulfilled',
-            items: packageItems // Attach items specifically to this package
-        };
-    }).filter(p => p.tracking_number);
-
-    // 4. Handle Unfulfilled / Partial Items
-    // Calculate what has been fulfilled so far
+    // 3. Handle Unfulfilled / Partial Items
     const fulfilledCounts = {};
-    packages.forEach(pkg => {
-        pkg.items.forEach(item => {
-            fulfilledCounts[item.id] = (fulfilledCounts[item.id] || 0) + item.quantity;
+    shipped.forEach(f => {
+        f.fulfillmentLineItems.forEach(fli => {
+            fulfilledCounts[fli.lineItem.id] = (fulfilledCounts[fli.lineItem.id] || 0) + fli.quantity;
         });
     });
 
-    // Determine remaining unfulfilled items
     const unfulfilledItems = [];
-    Object.values(lineItemsMap).forEach(item => {
-        const fulfilledQty = fulfilledCounts[item.id] || 0;
-        const remainingQty = item.quantity - fulfilledQty;
-        
+    Object.keys(lineItemsMap).forEach(gid => {
+        const item = lineItemsMap[gid];
+        const remainingQty = item.quantity - (fulfilledCounts[gid] || 0);
         if (remainingQty > 0) {
-            unfulfilledItems.push({
-                ...item,
-                quantity: remainingQty
-            });
+            unfulfilledItems.push({ ...item, quantity: remainingQty });
         }
     });
 
@@ -201,33 +351,141 @@ async function processOrderData(order, shopDomain, token) {
         packages.push({
             id: 'unfulfilled-group',
             name: `Package #${packages.length + 1} (Processing)`,
+            number: packages.length + 1,
             tracking_number: 'Processing',
             tracking_company: 'N/A',
             tracking_url: null,
-            status: 'ordered', // This maps to "We have received your order..." in frontend
+            status: STATUS.ORDERED, // This maps to "We have received your order..." in frontend
             items: unfulfilledItems
         });
     }
 
-    // Return all items for the "Order Info" summary if needed, or just let the frontend handle it.
-    
-    // Return all items for the "Order Info" summary if needed, or just let the frontend handle it.
-    const allItems = Object.values(lineItemsMap);
-
     return {
-        ok: true,
-        order: {
-            id: order.id,
-            name: order.name,
-            email: order.email,
-            created_at: order.created_at,
-            destination: order.shipping_address ? order.shipping_address.country : 'Unknown',
-            items: allItems, // Full list
-            packages: packages // Packages with their specific items
-        }
+        id: node.id,
+        name: node.name,
+        email: node.email,
+        contact_email: node.customer ? node.customer.email : null,
+        created_at: node.createdAt,
+        destination: node.shippingAddress ? node.shippingAddress.country : 'Unknown',
+        destination_code: node.shippingAddress ? node.shippingAddress.countryCodeV2 : null,
+        items: Object.values(lineItemsMap), // Full list
+        packages // Packages with their specific items
     };
 }
 
+/**
+ * Cache an order lookup, tagged so it can be dropped by shop, order or any of its tracking numbers
+ */
+async function cacheOrderResult(cacheKey, domain, result) {
+    const tags = [`shop:${domain}`, `order:${result.order.id}`]
+        .concat(result.order.packages.filter(p => p.tracking_number !== 'Processing').map(p => `tracking:${p.tracking_number}`));
+    await cache.set(cacheKey, result, { ttl: cache.TTL.ORDER_LOOKUP, type: 'order', tags });
+}
+
+/**
+ * Result for a shop we have no credentials for. Mock data (from `mock`, if given) is only served
+ * while no credentials are configured at all; an unknown or uninstalled shop gets an error.
+ */
+function missingCredentials(shop, mock) {
+    if (mock && !hasAnyCredentials()) {
+        logger.warn('No Shopify credentials configured, returning mock data', { shop });
+        return mock();
+    }
+    logger.warn('No Shopify credentials for this shop', { shop });
+    return { ok: false, code: "UPSTREAM_ERROR", error: "Shopify Configuration Missing" };
+}
+
+/**
+ * Quote a value for Shopify's search syntax
+ */
+function searchValue(value) {
+    return `"${String(value).replace(/["\\]/g, '')}"`;
+}
+
+/**
+ * Get order details by Name (e.g. #1001) and Email
+ * `shop` is the *.myshopify.com domain (App Proxy `shop` param); omitted = env-configured store
+ */
+async function getOrderByNameAndEmail(orderName, email, shop) {
+    const creds = getShopCredentials(shop);
+
+    // 1. Mock Data for demonstration if no token provided or specific test case
+    if (!creds) {
+        return missingCredentials(shop, () => getMockOrder(orderName));
+    }
+    if (orderName === '#155420') {
+        return getMockOrder(orderName);
+    }
+
+    // --- Local index (kept fresh by order webhooks) ---
+    const indexed = orderIndex.findOrderByName(creds.domain, orderName);
+    if (indexed) {
+        if (emailMatches([indexed.email, indexed.contact_email], email)) {
+            return { ok: true, order: indexed };
+        }
+        return { ok: false, code: "ORDER_NOT_FOUND", error: "Order not found or email does not match." };
+    }
+
+    // --- Cache Check ---
+    const cacheKey = `${creds.domain}:order_ne_${orderName}_${email}`;
+    const cachedData = await cache.get(cacheKey, 'order');
+    if (cachedData) {
+        logger.debug('Cache hit for order', { order: orderName });
+        return cachedData;
+    }
+    // -------------------
+
+    try {
+        // Match the email on our side; the search only narrows by name
+        const node = await searchOrders(creds, `name:${searchValue(orderName)}`, {
+            accept: (o) => emailMatches([o.email, o.customer && o.customer.email], email)
+        });
+
+        if (!node) {
+            return { ok: false, code: "ORDER_NOT_FOUND", error: "Order not found or email does not match." };
+        }
+
+        const result = { ok: true, order: mapOrder(node) };
+
+        await cacheOrderResult(cacheKey, creds.domain, result);
+        return result;
+
+    } catch (error) {
+        logger.error('Order search failed', { shop: creds.domain, order: orderName, error });
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Failed to fetch order from Shopify." };
+    }
+}
+
+/**
+ * Get an order by name alone, for the merchant dashboard (customers must also give the email)
+ */
+async function findOrderByName(orderName, shop) {
+    const creds = getShopCredentials(shop);
+    if (!creds) {
+        return missingCredentials(shop, () => getMockOrder(orderName));
+    }
+
+    const indexed = orderIndex.findOrderByName(creds.domain, orderName);
+    if (indexed) {
+        return { ok: true, order: indexed };
+    }
+
+    try {
+        const wanted = String(orderName).trim().replace(/^#?/, '#').toLowerCase();
+        const node = await searchOrders(creds, `name:${searchValue(orderName)}`, {
+            accept: (o) => o.name.toLowerCase() === wanted
+        });
+
+        if (!node) {
+            return { ok: false, code: "ORDER_NOT_FOUND", error: "Order not found." };
+        }
+        return { ok: true, order: mapOrder(node) };
+    } catch (error) {
+        logger.error('Order search failed', { shop: creds.domain, order: orderName, error });
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Failed to fetch order from Shopify." };
+    }
+}
+
 /**
  * Mock Data Generator
  */
@@ -273,14 +531,14 @@ function getMockOrder(orderName) {
                     name: "Package #1",
                     tracking_number: "YT2602400702022310",
                     tracking_company: "YunExpress",
-                    status: "in_transit",
+                    status: STATUS.IN_TRANSIT,
                     items: [item1] // Only item 1 is in Package 1
                 },
                 {
                     name: "Package #2",
                     tracking_number: "US8849201923",
                     tracking_company: "USPS",
-                    status: "delivered",
+                    status: STATUS.DELIVERED,
                     items: [item2, item3] // Items 2 & 3 are in Package 2
                 }
             ]
@@ -291,185 +549,127 @@ function getMockOrder(orderName) {
 /**
  * Find Order by Tracking Number using GraphQL API
  */
-async function findOrderByTrackingNumber(trackingNumber) {
-    if (!SHOPIFY_ACCESS_TOKEN || !SHOP_DOMAIN) {
+async function findOrderByTrackingNumber(trackingNumber, shop) {
+    const creds = getShopCredentials(shop);
+
+    if (!creds) {
         // Fallback for mock data testing
-        if (trackingNumber === 'YT2602400702022310') {
-             return getMockOrder('#EVO7103');
-        }
-        return { ok: false, error: "Shopify Configuration Missing" };
+        return missingCredentials(shop, trackingNumber === 'YT2602400702022310' ? () => getMockOrder('#EVO7103') : null);
+    }
+
+    // --- Local index (kept fresh by order webhooks) ---
+    const indexed = orderIndex.findOrderByTracking(trackingNumber, creds.domain);
+    if (indexed) {
+        logger.debug('Order index hit for tracking number', { tracking: trackingNumber });
+        return { ok: true, order: indexed };
     }
 
     // --- Cache Check ---
-    const cacheKey = `order_track_${trackingNumber}`;
-    const cachedData = cache.get(cacheKey);
+    const cacheKey = `${creds.domain}:order_track_${trackingNumber}`;
+    const cachedData = await cache.get(cacheKey, 'order');
     if (cachedData) {
-        console.log(`[Cache] Hit for tracking order: ${trackingNumber}`);
+        logger.debug('Cache hit for tracking order', { tracking: trackingNumber });
         return cachedData;
     }
     // -------------------
 
-    const cleanDomain = SHOP_DOMAIN.replace(/^https?:\/\//, '').replace(/\/$/, '');
-    const graphqlUrl = `https://${cleanDomain}/admin/api/${API_VERSION}/graphql.json`;
-
-    // GraphQL Query: Search orders by tracking number
-    // We search for the tracking number directly in the query field which performs a broad search
-    const query = `
-    {
-      orders(first: 1, query: "${trackingNumber}") {
-        edges {
-          node {
-            id
-            name
-            email
-            createdAt
-            shippingAddress {
-              country
-            }
-            currencyCode
-            lineItems(first: 50) {
-              edges {
-                node {
-                  id
-                  title
-                  quantity
-                  originalUnitPrice
-                  variant {
-                    id
-                    image {
-                      url
-                    }
-                  }
-                  product {
-                    id
-                  }
-                }
-              }
-            }
-            fulfillments(first: 10) {
-              id
-              trackingInfo(first: 10) {
-                number
-                company
-                url
-              }
-              fulfillmentLineItems(first: 50) {
-                edges {
-                  node {
-                    lineItem {
-                      id
-                    }
-                    quantity
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-    `;
-
     try {
-        console.log(`[Shopify GraphQL] Searching for tracking number: ${trackingNumber}`);
-        const response = await axios.post(graphqlUrl, { query }, {
-            headers: {
-                'X-Shopify-Access-Token': SHOPIFY_ACCESS_TOKEN,
-                'Content-Type': 'application/json'
-            }
-        });
+        logger.info('Searching orders for tracking number', { shop: creds.domain, tracking: trackingNumber });
 
-        const data = response.data.data;
-        
-        // Log raw response for debugging if needed (can be removed later)
-        // console.log("[Shopify GraphQL] Response:", JSON.stringify(data, null, 2));
+        // Broad search, then confirm the number is really on one of the order's fulfillments
+        const node = await searchOrders(creds, searchValue(trackingNumber), {
+            limit: MAX_TRACKING_CANDIDATES,
+            accept: (o) => (o.fulfillments || []).some(f => f.trackingInfo.some(t => t.number === trackingNumber))
+        });
 
-        if (!data || !data.orders || data.orders.edges.length === 0) {
-            console.warn(`[Shopify GraphQL] No order found for ${trackingNumber}`);
-            return { ok: false, error: "No order found with this tracking number." };
+        if (!node) {
+            logger.info('No order found for tracking number', { shop: creds.domain, tracking: trackingNumber });
+            return { ok: false, code: "TRACKING_NOT_FOUND", error: "No order found with this tracking number." };
         }
 
-        console.log(`[Shopify GraphQL] Found order: ${data.orders.edges[0].node.name}`);
-
-        // Convert GraphQL response to our internal format
-        const node = data.orders.edges[0].node;
-        
-        // 1. Map Line Items
-        const lineItemsMap = {};
-        node.lineItems.edges.forEach(({ node: item }) => {
-            // GraphQL ID is like "gid://shopify/LineItem/12345", we need just "12345" for mapping if needed, 
-            // but for display we just need data.
-            const cleanId = item.id.split('/').pop();
-            lineItemsMap[item.id] = {
-                id: cleanId,
-                name: item.title,
-                quantity: item.quantity,
-                price: item.originalUnitPrice,
-                currency: node.currencyCode,
-                image: item.variant && item.variant.image ? item.variant.image.url : null
-            };
-        });
+        logger.info('Found order for tracking number', { tracking: trackingNumber, order: node.name });
 
-        // 2. Map Fulfillments (Packages)
-        const packages = node.fulfillments.map((f, index) => {
-             // Find tracking info that matches our search (or first one)
-             const trackingInfo = f.trackingInfo.find(t => t.number === trackingNumber) || f.trackingInfo[0] || {};
-             
-             // Map items in this fulfillment
-             const packageItems = f.fulfillmentLineItems.edges.map(({ node: fli }) => {
-                 const originalItem = lineItemsMap[fli.lineItem.id];
-                 return {
-                     ...originalItem,
-                     quantity: fli.quantity
-                 };
-             }).filter(item => item.name); // Filter out any undefined
-
-             return {
-                 id: f.id,
-                 name: `Package #${index + 1}`,
-                 tracking_number: trackingInfo.number,
-                 tracking_company: trackingInfo.company,
-                 tracking_url: trackingInfo.url,
-                 status: 'fulfilled', // Basic status, detailed one comes from 17Track later
-                 items: packageItems
-             };
-        }).filter(p => p.tracking_number); // Only packages with tracking
-
-        // Filter packages to ONLY return the one matching the requested tracking number?
-        // Or return all packages in that order? 
-        // Requirement: "Is it our website order... show logistics info... and order products"
-        // Usually better to show the specific package focused, but having context of full order is fine.
-        // Let's filter to ensure we highlight the right one or at least validate it exists.
-        
-        const targetPackage = packages.find(p => p.tracking_number === trackingNumber);
-        if (!targetPackage) {
-             // Should theoretically not happen if GraphQL search worked, but possible if partial match
-             return { ok: false, error: "Tracking number not found in order fulfillments." };
-        }
+        // Return all packages so user can see full order context if needed
+        const result = { ok: true, order: mapOrder(node) };
+
+        await cacheOrderResult(cacheKey, creds.domain, result);
+        return result;
+
+    } catch (error) {
+        logger.error('Tracking number search failed', { shop: creds.domain, tracking: trackingNumber, error });
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Failed to verify tracking number." };
+    }
+}
+
+/**
+ * Tracking numbers of every fulfillment on orders updated since `since` (ISO date),
+ * for the background refresher. Not cached: each call should see the latest fulfillments.
+ * Resolves { ok, fulfillments: [{ tracking_number, tracking_company, fulfillment_id, order_id, order_name, shipped_at }] }
+ */
+async function listRecentFulfillments(shop, { since, limit = 1000 } = {}) {
+    const creds = getShopCredentials(shop);
+    if (!creds) {
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Shopify Configuration Missing" };
+    }
 
-        const allItems = Object.values(lineItemsMap);
-
-        const result = {
-            ok: true,
-            order: {
-                id: node.id,
-                name: node.name,
-                email: node.email,
-                created_at: node.createdAt,
-                destination: node.shippingAddress ? node.shippingAddress.country : 'Unknown',
-                items: allItems,
-                packages: packages // Return all packages so user can see full order context if needed
+    const searchQuery = `updated_at:>=${searchValue(since)} AND (fulfillment_status:shipped OR fulfillment_status:partial)`;
+    const fulfillments = [];
+    let after = null;
+    let inspected = 0;
+
+    try {
+        do {
+            const data = await shopifyGraphql(creds, RECENT_FULFILLMENTS_QUERY, { query: searchQuery, first: RECENT_ORDERS_PAGE_SIZE, after });
+            const connection = data.orders;
+
+            for (const { node } of connection.edges) {
+                inspected++;
+                let orderFulfillments = node.fulfillments || [];
+                if (orderFulfillments.length >= RECENT_ORDER_FULFILLMENTS) {
+                    orderFulfillments = (await shopifyGraphql(creds, ORDER_FULFILLMENTS_QUERY, { id: node.id })).order.fulfillments;
+                }
+
+                orderFulfillments
+                    .filter(f => f.displayStatus !== 'CANCELED')
+                    .forEach(f => f.trackingInfo.filter(t => t.number).forEach(t => fulfillments.push({
+                        tracking_number: t.number,
+                        tracking_company: t.company,
+                        fulfillment_id: f.id,
+                        order_id: node.id,
+                        order_name: node.name,
+                        shipped_at: f.createdAt
+                    })));
             }
-        };
 
-        // Cache result (5 mins)
-        cache.set(cacheKey, result, 300);
-        return result;
+            after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+        } while (after && inspected < limit);
+
+        return { ok: true, fulfillments };
+    } catch (error) {
+        logger.error('Listing recent fulfillments failed', { shop: creds.domain, error });
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Failed to list recent fulfillments." };
+    }
+}
 
+/**
+ * Load one order by GraphQL id, fully paginated and mapped (used by the order webhooks)
+ */
+async function getOrderById(shop, id) {
+    const creds = getShopCredentials(shop);
+    if (!creds) {
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Shopify Configuration Missing" };
+    }
+
+    try {
+        const node = await loadOrder(creds, id);
+        if (!node) {
+            return { ok: false, code: "ORDER_NOT_FOUND", error: "Order not found." };
+        }
+        return { ok: true, order: mapOrder(node) };
     } catch (error) {
-        console.error("Shopify GraphQL Error:", error.response?.data || error.message);
-        return { ok: false, error: "Failed to verify tracking number." };
+        logger.error('Loading order failed', { shop: creds.domain, id, error });
+        return { ok: false, code: "UPSTREAM_ERROR", error: "Failed to fetch order from Shopify." };
     }
 }
 
-module.exports = { getOrderByNameAndEmail, findOrderByTrackingNumber };
+module.exports = { getOrderByNameAndEmail, findOrderByName, findOrderByTrackingNumber, getOrderById, listRecentFulfillments, shopifyGraphql, mapOrder, API_VERSION };
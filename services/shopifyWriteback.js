@@ -0,0 +1,239 @@
+const { createJsonStore } = require('../utils/jsonStore');
+const trackingStore = require('../utils/trackingStore');
+const shipmentStatus = require('../utils/shipmentStatus');
+const { STATUS } = shipmentStatus;
+const orderIndex = require('./orderIndex');
+const shopStore = require('./shopStore');
+const { shopifyGraphql, findOrderByTrackingNumber } = require('./shopifyService');
+const logger = require('../logger').child({ component: 'Writeback' });
+
+/**
+ * =========================
+ * Shopify Fulfillment Status Write-Back
+ * =========================
+ * Shopify only knows a fulfillment was shipped; the carrier progress lives with us.
+ * When a number's canonical status changes we add a fulfillment event (fulfillmentEventCreate),
+ * so the Shopify admin and Shopify's own shipping emails follow the carrier.
+ *
+ * SHOPIFY_WRITEBACK: off (default) | dry-run (log what would be written) | on
+ * Needs the write_fulfillments scope (add it to SHOPIFY_SCOPES and reinstall).
+ *
+ * Each fulfillment gets every event status at most once: written events are remembered
+ * locally, and the fulfillment's existing events are checked before creating one.
+ *
+ * A write that fails upstream is queued and retried by retryFailed() (each refresher run) and on
+ * the number's next save, as long as the shipment still has that status, up to MAX_ATTEMPTS times.
+ */
+const MODES = ['off', 'dry-run', 'on'];
+
+// Canonical status -> Shopify FulfillmentEventStatus (unlisted statuses are not written back)
+const EVENT_STATUS = {
+    [STATUS.IN_TRANSIT]: 'IN_TRANSIT',
+    [STATUS.CUSTOMS_HOLD]: 'IN_TRANSIT',
+    [STATUS.OUT_FOR_DELIVERY]: 'OUT_FOR_DELIVERY',
+    [STATUS.DELIVERED]: 'DELIVERED',
+    [STATUS.DELIVERY_FAILED]: 'ATTEMPTED_DELIVERY',
+    [STATUS.EXCEPTION]: 'FAILURE',
+    [STATUS.RETURNED_TO_SENDER]: 'FAILURE'
+};
+
+// "<fulfillment id>|<event status>" -> { tracking, shop, status, event_id, created_at }
+const written = createJsonStore('shopify_events');
+// tracking -> { status, attempts, last_error, failed_at }
+const failed = createJsonStore('shopify_events_failed');
+const MAX_ATTEMPTS = 10;
+
+const FULFILLMENT_EVENTS_QUERY = `
+  query fulfillmentEvents($id: ID!) {
+    fulfillment(id: $id) {
+      events(first: 50) { edges { node { status } } }
+    }
+  }
+`;
+
+const FULFILLMENT_EVENT_CREATE = `
+  mutation fulfillmentEventCreate($fulfillmentEvent: FulfillmentEventInput!) {
+    fulfillmentEventCreate(fulfillmentEvent: $fulfillmentEvent) {
+      fulfillmentEvent { id status }
+      userErrors { field message }
+    }
+  }
+`;
+
+function getMode() {
+    const mode = String(process.env.SHOPIFY_WRITEBACK || 'off').toLowerCase();
+    return MODES.includes(mode) ? mode : 'off';
+}
+
+function eventStatusFor(status) {
+    return EVENT_STATUS[shipmentStatus.normalize(status)] || null;
+}
+
+/**
+ * The Shopify event status to write for a tracking change, or null when nothing changed for Shopify
+ */
+function detectEventStatus(previous, next) {
+    const status = eventStatusFor(next && next.status);
+    if (!status) return null;
+    return status === eventStatusFor(previous && previous.status) ? null : status;
+}
+
+/**
+ * Shop and fulfillment for a tracking number: the order index first,
+ * then a search of the env-configured store
+ */
+async function resolveFulfillment(tracking) {
+    const indexed = orderIndex.getEntry(tracking);
+    if (indexed) return indexed;
+
+    const shop = shopStore.resolveShop(null);
+    if (!shop) return null;
+
+    const result = await findOrderByTrackingNumber(tracking, shop);
+    if (!result.ok) return null;
+
+    orderIndex.rememberOrder(result.order, shop);
+    return orderIndex.getEntry(tracking);
+}
+
+/**
+ * Event input from the stored result: latest carrier event time and location, ETA if known
+ */
+function buildEventInput(fulfillmentId, status, entry) {
+    const latest = (entry.events || [])[0] || {};
+    const happenedAt = new Date(latest.time);
+    const eta = entry.estimated_delivery && new Date(entry.estimated_delivery.to);
+
+    const input = {
+        fulfillmentId,
+        status,
+        happenedAt: isNaN(happenedAt) ? new Date().toISOString() : happenedAt.toISOString(),
+        message: entry.status_text || null
+    };
+    if (eta && !isNaN(eta)) input.estimatedDeliveryAt = eta.toISOString();
+    if (latest.location) input.city = latest.location;
+    return input;
+}
+
+async function hasRemoteEvent(creds, fulfillmentId, status) {
+    const data = await shopifyGraphql(creds, FULFILLMENT_EVENTS_QUERY, { id: fulfillmentId });
+    const edges = (data.fulfillment && data.fulfillment.events && data.fulfillment.events.edges) || [];
+    return edges.some(e => e.node.status === status);
+}
+
+/**
+ * Write one event status for a tracking number.
+ * Resolves { ok, skipped?, dryRun?, eventId? } or { ok: false, code, error }
+ */
+async function writeEvent(entry, status) {
+    const mode = getMode();
+    if (mode === 'off') return { ok: true, skipped: 'disabled' };
+
+    const target = await resolveFulfillment(entry.tracking);
+    if (!target) {
+        return { ok: false, code: 'TRACKING_NOT_FOUND', error: `No Shopify fulfillment known for ${entry.tracking}` };
+    }
+
+    const key = `${target.fulfillment_id}|${status}`;
+    if (written.has(key)) return { ok: true, skipped: 'already_written' };
+
+    const input = buildEventInput(target.fulfillment_id, status, entry);
+    if (mode === 'dry-run') {
+        logger.info('Dry run: would create fulfillment event', { tracking: entry.tracking, status, fulfillment: target.fulfillment_id, input });
+        return { ok: true, dryRun: true };
+    }
+
+    const creds = shopStore.getShopCredentials(target.shop);
+    if (!creds) {
+        return { ok: false, code: 'UPSTREAM_ERROR', error: `No Shopify credentials for ${target.shop}` };
+    }
+
+    // Marked before the call, so a change arriving meanwhile can't write it twice
+    written.set(key, { tracking: entry.tracking, shop: creds.domain, status, created_at: new Date().toISOString() });
+
+    try {
+        if (await hasRemoteEvent(creds, target.fulfillment_id, status)) {
+            logger.info('Status already on Shopify', { tracking: entry.tracking, status, fulfillment: target.fulfillment_id });
+            return { ok: true, skipped: 'already_on_shopify' };
+        }
+
+        const data = await shopifyGraphql(creds, FULFILLMENT_EVENT_CREATE, { fulfillmentEvent: input });
+        const errors = data.fulfillmentEventCreate.userErrors;
+        if (errors && errors.length > 0) {
+            throw new Error(errors.map(e => e.message).join(', '));
+        }
+
+        const eventId = data.fulfillmentEventCreate.fulfillmentEvent.id;
+        written.set(key, { ...written.get(key), event_id: eventId });
+        logger.info('Fulfillment event created', { tracking: entry.tracking, status, fulfillment: target.fulfillment_id });
+        return { ok: true, eventId };
+    } catch (error) {
+        // Let the next change retry it
+        written.delete(key);
+        // Status and code only: the upstream body can echo the order's contact details
+        logger.error('Writing fulfillment event failed', { tracking: entry.tracking, status, http_status: error.response?.status, code: error.code });
+        return { ok: false, code: 'UPSTREAM_ERROR', error: error.message };
+    }
+}
+
+/**
+ * writeEvent, queueing upstream failures for a retry. Any other outcome clears the queue entry:
+ * the status was written, or a newer status took its place.
+ */
+async function writeQueued(entry, status) {
+    const result = await writeEvent(entry, status);
+    if (result.ok || result.code !== 'UPSTREAM_ERROR') {
+        if (failed.has(entry.tracking)) failed.delete(entry.tracking);
+        return result;
+    }
+
+    const previous = failed.get(entry.tracking);
+    const attempts = previous && previous.status === status ? previous.attempts + 1 : 1;
+    if (attempts >= MAX_ATTEMPTS) {
+        logger.error('Giving up on fulfillment event', { tracking: entry.tracking, status, attempts });
+        failed.delete(entry.tracking);
+    } else {
+        failed.set(entry.tracking, { status, attempts, last_error: result.error, failed_at: new Date().toISOString() });
+    }
+    return result;
+}
+
+// The queued status of a number, while it is still the one its stored status maps to
+function pendingStatus(entry) {
+    const pending = failed.get(entry.tracking);
+    return pending && pending.status === eventStatusFor(entry.status) ? pending.status : null;
+}
+
+/**
+ * Tracking store listener
+ */
+async function writeTransition(previous, next) {
+    const status = detectEventStatus(previous, next) || pendingStatus(next);
+    if (!status) return;
+    await writeQueued(next, status);
+}
+
+/**
+ * Retry every queued write (numbers whose status moved on are dropped). Resolves the number retried.
+ */
+async function retryFailed() {
+    let retried = 0;
+    for (const tracking of failed.keys()) {
+        const entry = trackingStore.getTracking(tracking);
+        const status = entry && pendingStatus(entry);
+        if (!status) {
+            failed.delete(tracking);
+            continue;
+        }
+        await writeQueued(entry, status);
+        retried++;
+    }
+    return retried;
+}
+
+function start() {
+    trackingStore.onTrackingChange(writeTransition);
+    logger.info('Shopify status write-back', { mode: getMode() });
+}
+
+module.exports = { start, getMode, detectEventStatus, writeEvent, writeTransition, retryFailed, EVENT_STATUS };
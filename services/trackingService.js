@@ -1,9 +1,15 @@
-const axios = require("axios");
-const { translate } = require('google-translate-api-x');
 const cache = require('../utils/cache');
-
-const TRACK17_KEY = process.env.TRACK17_KEY;
-const API_BASE_URL = "https://api.17track.net/track/v2.4";
+const trackingStore = require('../utils/trackingStore');
+const { getProvidersFor } = require('./providers');
+const { translateTexts } = require('./translation');
+const glossary = require('./translation/glossary');
+const whiteLabel = require('./whiteLabel');
+const { resolveShop } = require('./shopStore');
+const { coalesce } = require('../utils/inflight');
+const { createCircuitBreaker } = require('../utils/circuitBreaker');
+const shipmentStatus = require('../utils/shipmentStatus');
+const { STATUS } = shipmentStatus;
+const logger = require('../logger').child({ component: 'Tracking' });
 
 const LANG_MAP = {
   1033: 'en',
@@ -15,126 +21,18 @@ const LANG_MAP = {
   1041: 'ja'
 };
 
-/**
- * Map 17TRACK internal status codes to human readable strings
- * 0: Not Found, 10: In Transit, 20: Expired, 30: Ready for Pickup, 
- * 35: Undelivered, 40: Delivered, 50: Alert
- */
-function getStatusText(code) {
-  const statusMap = {
-    0: "Not Found",
-    10: "In Transit",
-    20: "Expired",
-    30: "Ready for Pickup",
-    35: "Undelivered",
-    40: "Delivered",
-    50: "Alert"
-  };
-  return statusMap[code] || "Unknown";
-}
-
-/**
- * Register a tracking number with 17TRACK
- */
-async function registerTracking(trackingNumber) {
-  if (!TRACK17_KEY || TRACK17_KEY === "YOUR_17TRACK_KEY_HERE") {
-    console.warn("⚠️ Missing TRACK17_KEY in .env");
-    return { ok: false, error: "API Key not configured" };
-  }
-
-  try {
-    const response = await axios.post(
-      `${API_BASE_URL}/register`,
-      [
-        {
-          number: trackingNumber
-        }
-      ],
-      {
-        headers: {
-          "17token": TRACK17_KEY,
-          "Content-Type": "application/json"
-        }
-      }
-    );
-
-    const data = response.data;
-    if (data.code === 0 && data.data.accepted.length > 0) {
-      return { ok: true };
-    } else {
-      // Check if it was rejected because it's already registered (Error -18019903 usually)
-      const rejected = data.data.rejected || [];
-      const isAlreadyRegistered = rejected.some(r => r.error && r.error.code === -18019903);
-      
-      if (isAlreadyRegistered) {
-        return { ok: true };
-      }
-      
-      return { ok: false, error: "Registration failed" };
-    }
-  } catch (error) {
-    console.error("Error registering tracking:", error.message);
-    return { ok: false, error: error.message };
-  }
-}
-
-/**
- * Helper to fetch data once
- */
-async function fetchFrom17Track(tracking) {
-    const response = await axios.post(
-      `${API_BASE_URL}/gettrackinfo`,
-      [{ number: tracking }],
-      {
-        headers: {
-          "17token": TRACK17_KEY,
-          "Content-Type": "application/json"
-        }
-      }
-    );
-    return response.data;
-}
-
-/**
- * Sleep helper
- */
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// How long an expired result may still be served while it is refreshed in the background
+const STALE_SECONDS = parseInt(process.env.CACHE_STALE_SECONDS, 10) || 86400;
 
-/**
- * Change tracking information (e.g., language)
- */
-async function changeTrackingInfo(trackingNumber, langCode) {
-  if (!TRACK17_KEY || TRACK17_KEY === "YOUR_17TRACK_KEY_HERE") {
-    return { ok: false, error: "API Key not configured" };
-  }
+// Stored results older than this are re-pulled from the provider on refresh (covers missed webhooks)
+const REFRESH_AFTER_MS = (parseInt(process.env.TRACKING_REFRESH_SECONDS, 10) || 6 * 3600) * 1000;
 
-  try {
-    const response = await axios.post(
-      `${API_BASE_URL}/changeinfo`,
-      [
-        {
-          number: trackingNumber,
-          lang: langCode
-        }
-      ],
-      {
-        headers: {
-          "17token": TRACK17_KEY,
-          "Content-Type": "application/json"
-        }
-      }
-    );
+// One breaker per provider: a failing upstream is skipped instead of timing out every request
+const breakers = {};
 
-    const data = response.data;
-    if (data.code === 0 && data.data.accepted.length > 0) {
-      return { ok: true };
-    } else {
-      return { ok: false, error: "Change info failed" };
-    }
-  } catch (error) {
-    console.error("Error changing tracking info:", error.message);
-    return { ok: false, error: error.message };
-  }
+function getBreaker(name) {
+  if (!breakers[name]) breakers[name] = createCircuitBreaker(name);
+  return breakers[name];
 }
 
 /**
@@ -161,198 +59,259 @@ function detectLanguage(events) {
 }
 
 /**
- * Get tracking info from 17TRACK
+ * Drop every cached (translated) variant of a tracking number,
+ * called when a webhook push brings fresh data. Without a number, drops all
+ * tracking results (e.g. after a glossary change).
  */
-async function getTrackingInfo(tracking, lang = null) {
-  // Check for mock data trigger for testing
-  if (tracking === "TEST123_MOCK") {
-    return {
-      ok: true,
-      tracking,
-      status: "In transit",
-      carrier: "DemoCarrier",
-      events: [
-        { time: "2026-01-20 10:00", desc: "Label created" },
-        { time: "2026-01-21 15:30", desc: "Picked up" },
-        { time: "2026-01-23 09:10", desc: "In transit" }
-      ]
-    };
+function invalidateTrackingCache(tracking) {
+  return cache.invalidate(tracking ? `tracking:${tracking}` : 'tracking');
+}
+
+/**
+ * Drop the tracking results rendered for one shop (e.g. after its white-label rules changed)
+ */
+function invalidateShopTrackingCache(shop) {
+  return cache.invalidate(`tracking-shop:${resolveShop(shop)}`);
+}
+
+// Results are white-labelled with their shop's rules, so each shop gets its own entries
+function trackingCacheKey(tracking, lang, shop) {
+  return `track_${tracking}_${lang || 'default'}${shop ? `_${shop}` : ''}`;
+}
+
+/**
+ * Cache a tracking result with a TTL matching how likely it is to change.
+ * The entry outlives its TTL by STALE_SECONDS so it can be served stale while revalidating.
+ */
+function cacheTrackingResult(cacheKey, result, ttl, shop) {
+  const entry = { result, fresh_until: Date.now() + ttl * 1000 };
+  const tags = [`tracking:${result.tracking}`, 'tracking'];
+  if (shop) tags.push(`tracking-shop:${shop}`);
+  return cache.set(cacheKey, entry, { ttl: ttl + STALE_SECONDS, type: 'tracking', tags });
+}
+
+/**
+ * Look up a number we have never stored, walking the provider chain for its carrier.
+ * A provider that errors (outage, quota) is skipped so the next one can answer.
+ */
+async function fetchFromProviders(tracking, carrierHint) {
+  const providers = getProvidersFor(carrierHint);
+  if (providers.length === 0) {
+    return { ok: false, error: "Tracking service not configured" };
   }
 
-  // --- Cache Check ---
-  const cacheKey = `track_${tracking}_${lang || 'default'}`;
-  const cachedData = cache.get(cacheKey);
-  if (cachedData) {
-      console.log(`[Cache] Hit for tracking: ${tracking} (${lang || 'default'})`);
-      return cachedData;
+  let failures = 0;
+
+  // 1. Does any provider already know this number?
+  for (const provider of providers) {
+    try {
+      const res = await getBreaker(provider.name).exec(() => provider.fetch(tracking));
+      if (res.found) {
+        return { ok: true, stored: trackingStore.saveTracking(tracking, { ...provider.parse(res.raw), provider: provider.name }) };
+      }
+    } catch (error) {
+      failures++;
+      logger.error('Provider fetch failed', { provider: provider.name, tracking, error });
+    }
   }
-  // -------------------
 
-  if (!TRACK17_KEY || TRACK17_KEY === "YOUR_17TRACK_KEY_HERE") {
-    console.warn("⚠️ TRACK17_KEY not set. Returning error.");
-    return { ok: false, error: "Tracking service not configured" };
+  if (failures === providers.length) {
+    return { ok: false, error: "Service Error" };
   }
 
-  try {
-    // 1. First attempt to get tracking info
-    let data = await fetchFrom17Track(tracking);
-    let trackData = null;
-
-    // Check if we got data immediately
-    if (data.code === 0 && data.data.accepted.length > 0) {
-      const item = data.data.accepted[0];
-      trackData = item.track_info || item.track;
-    } 
-    else {
-      // 2. If not found, try to register
-      console.log(`Tracking ${tracking} not found, attempting registration...`);
-      const regResult = await registerTracking(tracking);
-      
+  // 2. Unknown everywhere: register with the first provider that accepts it
+  logger.info('Tracking number unknown to providers, registering', { tracking });
+  for (const provider of providers) {
+    if (getBreaker(provider.name).getState() === 'open') continue;
+
+    try {
+      const regResult = await getBreaker(provider.name).exec(() => provider.register(tracking));
       if (regResult.ok) {
-        // Registration successful. Now we poll for a few seconds.
-        console.log("Registration success. Polling for data update...");
-        
-        // Try up to 3 times, waiting 1s, 2s, 2s
-        const waitTimes = [1000, 2000, 2000]; 
-        
-        for (const wait of waitTimes) {
-            await delay(wait);
-            console.log(`Polling 17TRACK after ${wait}ms...`);
-            
-            data = await fetchFrom17Track(tracking);
-            if (data.code === 0 && data.data.accepted.length > 0) {
-                 const item = data.data.accepted[0];
-                 // Ensure we actually have meaningful events
-                 const info = item.track_info || item.track;
-                 if (info && info.tracking && info.tracking.providers && info.tracking.providers[0].events.length > 0) {
-                     trackData = info;
-                     console.log("Got data after polling!");
-                     break;
-                 }
-            }
-        }
-        
-        // If still no data after polling, return the "Registered" state
-        if (!trackData) {
-             const result = {
-              ok: true,
-              tracking,
-              status: "Registered",
-              carrier: "Detecting...",
-              events: [
-                {
-                  time: new Date().toLocaleString(),
-                  desc: "Tracking number registered. System is retrieving details from carrier..."
-                }
-              ]
-            };
-            // Cache "Registered" state for 5 minutes only, as it might update soon
-            cache.set(cacheKey, result, 300);
-            return result;
-        }
-
-      } else {
-         return { ok: false, error: "Tracking number not found and could not be registered." };
+        return { ok: true, registered: provider.name };
       }
+    } catch (error) {
+      logger.error('Provider registration failed', { provider: provider.name, tracking, error });
     }
+  }
 
-    // 3. Process the track data (if we have it)
-    if (trackData) {
-      // Parse V2.4 Structure
-      let events = [];
-      let status = "Unknown";
-      let carrier = "Unknown";
-
-      // Case 1: V2.4 Standard Structure (track_info)
-      if (trackData.tracking && trackData.tracking.providers) {
-          // Get events from first provider
-          const providerData = trackData.tracking.providers[0];
-          if (providerData && providerData.events) {
-              events = providerData.events.map(e => ({
-                  time: e.time_iso || e.time_utc || "",
-                  desc: e.description || "",
-                  location: e.location || ""
-              }));
-          }
-          
-          if (providerData && providerData.provider) {
-              carrier = providerData.provider.name || providerData.provider.alias || "Carrier ID: " + providerData.provider.key;
-          }
+  return { ok: false, error: "Tracking number not found and could not be registered." };
+}
 
-          if (trackData.latest_status) {
-              status = trackData.latest_status.status_description || trackData.latest_status.status || "Unknown";
-          }
-      } 
-      // Case 2: Legacy/Minified Structure (fallback)
-      else if (trackData.z0) {
-          events = (trackData.z0 || []).map(e => ({
-            time: e.a || "", 
-            desc: e.z || ""
-          }));
-          status = getStatusText(trackData.e);
-          carrier = "Carrier ID: " + trackData.w1;
-      }
+/**
+ * A stored result is worth re-pulling when it may still change and no webhook touched it lately
+ */
+function needsPull(stored) {
+  if (stored.stopped || shipmentStatus.normalize(stored.status) === STATUS.DELIVERED) return false;
+  return Date.now() - new Date(stored.updated_at || 0).getTime() > REFRESH_AFTER_MS;
+}
 
-      // Detect original language before translation
-      let originalLang = detectLanguage(events);
+/**
+ * Pull a number from its provider chain now (registering it if nobody knows it yet),
+ * outside of any page view. Used by the background refresher; fresh data drops the cached pages.
+ */
+async function pullTracking(tracking, carrierHint) {
+  const lookup = await coalesce(`pull:${tracking}`, () => fetchFromProviders(tracking, carrierHint));
+  if (lookup.stored) {
+    await invalidateTrackingCache(tracking);
+  }
+  return lookup;
+}
 
-      // Apply Google Translation if requested
-      const targetLang = (typeof LANG_MAP !== 'undefined' && LANG_MAP[lang]) ? LANG_MAP[lang] : lang;
-      
-      console.log(`Checking translation: lang=${lang}, target=${targetLang}`);
-      if (targetLang) {
-          console.log(`Translating events to ${targetLang}...`);
-          events = await translateEvents(events, targetLang);
-      }
+/**
+ * Load a tracking result from the store or the providers, translate it and cache it.
+ * With `refresh`, stored data that looks outdated is pulled again; if the providers
+ * fail (or their circuit is open) we fall back to the last-known stored data.
+ */
+async function loadTrackingInfo(tracking, lang, carrierHint, shop, { refresh = false } = {}) {
+  const cacheKey = trackingCacheKey(tracking, lang, shop);
+
+  // 1. Local store (webhook-fed)
+  let stored = trackingStore.getTracking(tracking);
+
+  if (!stored || (refresh && needsPull(stored))) {
+    // 2. Not seen before (or outdated): ask the providers, once per number across languages
+    const lookup = await coalesce(`pull:${tracking}`, () => fetchFromProviders(tracking, carrierHint));
 
+    if (!lookup.ok && !stored) {
+      return { ok: false, error: lookup.error };
+    }
+
+    if (!lookup.ok) {
+      logger.warn('Serving last-known data', { tracking, reason: lookup.error });
+    } else if (lookup.stored) {
+      stored = lookup.stored;
+    } else if (!stored) {
       const result = {
         ok: true,
         tracking,
-        status: status,
-        carrier: carrier,
-        events: events,
-        original_language: originalLang
+        status: STATUS.INFO_RECEIVED,
+        status_text: "Registered",
+        carrier: "Detecting...",
+        events: [
+          {
+            time: new Date().toLocaleString(),
+            desc: "Tracking number registered. System is retrieving details from carrier..."
+          }
+        ]
       };
-
-      // Cache successful result (default TTL)
-      cache.set(cacheKey, result);
+      // Cache "Registered" state briefly, as it might update soon
+      await cacheTrackingResult(cacheKey, result, cache.TTL.TRACKING_REGISTERED, shop);
       return result;
     }
+  }
 
-    return { ok: false };
+  // 3. Build the response from the stored (untranslated) data, minus white-labelled events
+  let events = whiteLabel.filterEvents(stored.events || [], shop);
 
-  } catch (error) {
-    console.error("Error fetching tracking info:", error.message);
-    return { ok: false, error: "Service Error" };
+  // Detect original language before translation
+  const originalLang = detectLanguage(events);
+
+  // Translate events if requested (glossary rewrites apply either way)
+  const targetLang = LANG_MAP[lang] ? LANG_MAP[lang] : lang;
+
+  if (targetLang) {
+      logger.debug('Translating events', { lang: targetLang });
   }
+  events = await translateEvents(events, targetLang);
+
+  const result = {
+    ok: true,
+    tracking,
+    status: shipmentStatus.normalize(stored.status),
+    status_text: stored.status_text || stored.status,
+    carrier: whiteLabel.relabelCarrier(stored.carrier, shop),
+    events: events,
+    estimated_delivery: stored.estimated_delivery || null,
+    original_language: originalLang
+  };
+
+  // Cache successful result; delivered shipments rarely change
+  await cacheTrackingResult(cacheKey, result, result.status === STATUS.DELIVERED ? cache.TTL.TRACKING_DELIVERED : cache.TTL.TRACKING_ACTIVE, shop);
+  return result;
 }
 
+/**
+ * Get tracking info.
+ * Reads the local store (kept fresh by provider webhooks). Unknown numbers get a single
+ * fetch through the carrier's provider chain; if nobody knows them yet we register and
+ * return the "Registered" state straight away - the webhook will fill in details later.
+ *
+ * Concurrent calls for the same number and language share one load. An expired cache
+ * entry is returned immediately while a background refresh replaces it.
+ *
+ * `carrierHint` is the Shopify tracking_company, used for per-carrier provider routing.
+ * `shop` picks the white-label rules the result is rendered with.
+ */
+async function getTrackingInfo(tracking, lang = null, carrierHint = null, shop = null) {
+  // Check for mock data trigger for testing
+  if (tracking === "TEST123_MOCK") {
+    return {
+      ok: true,
+      tracking,
+      status: STATUS.IN_TRANSIT,
+      status_text: "In transit",
+      carrier: "DemoCarrier",
+      events: [
+        { time: "2026-01-20 10:00", desc: "Label created" },
+        { time: "2026-01-21 15:30", desc: "Picked up" },
+        { time: "2026-01-23 09:10", desc: "In transit" }
+      ]
+    };
+  }
+
+  const domain = resolveShop(shop);
+  const loadKey = `${tracking}|${lang || 'default'}|${domain || ''}`;
+
+  // --- Cache Check ---
+  const cacheKey = trackingCacheKey(tracking, lang, domain);
+  const cached = await cache.get(cacheKey, 'tracking');
+  if (cached) {
+      if (Date.now() < cached.fresh_until) {
+          logger.debug('Cache hit for tracking', { tracking, lang: lang || 'default' });
+          return cached.result;
+      }
+
+      logger.debug('Stale cache hit for tracking, revalidating', { tracking, lang: lang || 'default' });
+      coalesce(loadKey, () => loadTrackingInfo(tracking, lang, carrierHint, domain, { refresh: true }))
+        .catch(error => logger.error('Background refresh failed', { tracking, error }));
+      return cached.result;
+  }
+  // -------------------
+
+  return coalesce(loadKey, () => loadTrackingInfo(tracking, lang, carrierHint, domain));
+}
+
+/**
+ * Translate event descriptions and locations in one batch through the translation service.
+ * The merchant glossary runs around it; without a target language only the glossary applies.
+ */
 async function translateEvents(events, targetLang) {
   if (!events || !Array.isArray(events) || events.length === 0) return events;
-  
-  // Create an array of promises to translate descriptions and locations in parallel
-  const promises = events.map(async (event) => {
-    let newEvent = { ...event };
-    try {
-      // Handle 'description' or 'desc' field
-      const textToTranslate = event.description || event.desc;
-      if (textToTranslate && textToTranslate.trim()) {
-        const res = await translate(textToTranslate, { to: targetLang });
-        if (event.description) newEvent.description = res.text;
-        if (event.desc) newEvent.desc = res.text;
-      }
-      
-      if (event.location && event.location.trim()) {
-         const res = await translate(event.location, { to: targetLang });
-         newEvent.location = res.text;
-      }
-    } catch (e) {
-      console.error("Translation failed for event:", e.message);
-    }
+
+  const prepared = [];
+  events.forEach(event => {
+    prepared.push(glossary.prepare(event.description || event.desc || '', targetLang));
+    prepared.push(glossary.prepare(event.location || '', targetLang));
+  });
+
+  const texts = prepared.map(p => p.text);
+  const translated = targetLang ? await translateTexts(texts, targetLang) : texts;
+  const final = translated.map((text, i) => glossary.finish(text, prepared[i].tokens));
+
+  return events.map((event, i) => {
+    const newEvent = { ...event };
+    if (event.description) newEvent.description = final[i * 2];
+    if (event.desc) newEvent.desc = final[i * 2];
+    if (event.location) newEvent.location = final[i * 2 + 1];
     return newEvent;
   });
+}
 
-  return Promise.all(promises);
+/**
+ * Circuit state per provider ('closed' | 'open' | 'half-open'), for /metrics and /readyz
+ */
+function getBreakerStates() {
+  return Object.fromEntries(Object.entries(breakers).map(([name, breaker]) => [name, breaker.getState()]));
 }
 
-module.exports = { getTrackingInfo };
+module.exports = { getTrackingInfo, pullTracking, invalidateTrackingCache, invalidateShopTrackingCache, getBreakerStates };
@@ -0,0 +1,183 @@
+const fs = require("fs");
+const path = require("path");
+const logger = require("../../logger").child({ component: "Translation" });
+
+/**
+ * =========================
+ * Glossary
+ * =========================
+ * Merchant overrides applied around machine translation (config/glossary.json or GLOSSARY_FILE,
+ * editable through PUT /admin/glossary):
+ *
+ *   {
+ *     "protected": ["YunExpress", "Shenzhen"],                  // never translated
+ *     "phrases": {                                             // per target language ("*" = all)
+ *       "fr": { "已揽收": "Colis pris en charge" }
+ *     },
+ *     "rewrites": [                                            // regex rewrites
+ *       { "pattern": "深圳市?\\S*仓", "replace": "Origin facility", "stage": "before" },
+ *       { "pattern": "\\bSZX\\b", "replace": "", "stage": "after" }
+ *     ]
+ *   }
+ *
+ * prepare() runs before translation: "before" rewrites, then phrases and protected terms are
+ * swapped for placeholders the translator leaves alone. finish() restores them and runs
+ * the "after" rewrites.
+ */
+const GLOSSARY_FILE = process.env.GLOSSARY_FILE || path.join(__dirname, "..", "..", "config", "glossary.json");
+
+const EMPTY = { protected: [], phrases: {}, rewrites: [] };
+
+let glossary = EMPTY;
+let compiled = { before: [], after: [] };
+
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+const PLACEHOLDER = /\[\[\s*G(\d+)\s*\]\]/g;
+
+/**
+ * Check a glossary object; returns { ok, glossary } or { ok: false, error }
+ */
+function validateGlossary(input) {
+  if (!input || typeof input !== "object" || Array.isArray(input)) {
+    return { ok: false, error: "Glossary must be an object" };
+  }
+
+  const value = {
+    protected: input.protected || [],
+    phrases: input.phrases || {},
+    rewrites: input.rewrites || []
+  };
+
+  if (!Array.isArray(value.protected) || value.protected.some(t => typeof t !== "string" || !t.trim())) {
+    return { ok: false, error: "`protected` must be a list of non-empty strings" };
+  }
+  if (typeof value.phrases !== "object" || Array.isArray(value.phrases)) {
+    return { ok: false, error: "`phrases` must map languages to { source: translation }" };
+  }
+  for (const [lang, map] of Object.entries(value.phrases)) {
+    if (!map || typeof map !== "object" || Object.values(map).some(t => typeof t !== "string")) {
+      return { ok: false, error: `phrases.${lang} must map source phrases to strings` };
+    }
+  }
+  if (!Array.isArray(value.rewrites)) {
+    return { ok: false, error: "`rewrites` must be a list" };
+  }
+  for (const rule of value.rewrites) {
+    if (!rule || typeof rule.pattern !== "string" || typeof (rule.replace || "") !== "string") {
+      return { ok: false, error: "Each rewrite needs a `pattern` and a `replace` string" };
+    }
+    if (rule.stage && !["before", "after"].includes(rule.stage)) {
+      return { ok: false, error: `Invalid rewrite stage "${rule.stage}"` };
+    }
+    try {
+      new RegExp(rule.pattern, rule.flags || "g");
+    } catch (e) {
+      return { ok: false, error: `Invalid pattern "${rule.pattern}": ${e.message}` };
+    }
+  }
+
+  return { ok: true, glossary: value };
+}
+
+function use(value) {
+  glossary = value;
+  compiled = { before: [], after: [] };
+  value.rewrites.forEach(rule => {
+    const flags = rule.flags || "g";
+    compiled[rule.stage || "before"].push({
+      regex: new RegExp(rule.pattern, flags.includes("g") ? flags : `${flags}g`),
+      replace: rule.replace || ""
+    });
+  });
+}
+
+function loadGlossary() {
+  try {
+    if (!fs.existsSync(GLOSSARY_FILE)) {
+      use(EMPTY);
+      return;
+    }
+    const result = validateGlossary(JSON.parse(fs.readFileSync(GLOSSARY_FILE, "utf8")));
+    if (!result.ok) throw new Error(result.error);
+    use(result.glossary);
+  } catch (e) {
+    logger.warn("Could not load glossary", { file: GLOSSARY_FILE, error: e });
+    use(EMPTY);
+  }
+}
+
+loadGlossary();
+
+function getGlossary() {
+  return glossary;
+}
+
+/**
+ * Validate, persist and activate a new glossary
+ */
+async function saveGlossary(input) {
+  const result = validateGlossary(input);
+  if (!result.ok) return result;
+
+  await fs.promises.mkdir(path.dirname(GLOSSARY_FILE), { recursive: true });
+  await fs.promises.writeFile(GLOSSARY_FILE, JSON.stringify(result.glossary, null, 2));
+  use(result.glossary);
+  return { ok: true, glossary: result.glossary };
+}
+
+/**
+ * Phrase overrides for a target language: "*" first, then the base language ("zh"), then the exact one ("zh-CN")
+ */
+function phrasesFor(targetLang) {
+  if (!targetLang) return {};
+  const base = String(targetLang).split("-")[0];
+  return {
+    ...(glossary.phrases["*"] || {}),
+    ...(glossary.phrases[base] || {}),
+    ...(glossary.phrases[targetLang] || {})
+  };
+}
+
+function applyRewrites(text, rules) {
+  return rules.reduce((acc, { regex, replace }) => acc.replace(regex, replace), text);
+}
+
+/**
+ * Prepare source text for translation.
+ * Returns { text, tokens } - `tokens` are the final strings behind each [[G<n>]] placeholder.
+ */
+function prepare(text, targetLang) {
+  if (!text || !text.trim()) return { text, tokens: [] };
+
+  let result = applyRewrites(text, compiled.before);
+  const tokens = [];
+
+  const phrases = phrasesFor(targetLang);
+  const terms = [
+    ...Object.keys(phrases).map(source => ({ source, target: phrases[source] })),
+    ...glossary.protected.map(term => ({ source: term, target: term }))
+  ].sort((a, b) => b.source.length - a.source.length); // longest match wins
+
+  terms.forEach(({ source, target }) => {
+    const regex = new RegExp(escapeRegExp(source), "gi");
+    result = result.replace(regex, (match) => {
+      tokens.push(source === target ? match : target);
+      return `[[G${tokens.length - 1}]]`;
+    });
+  });
+
+  return { text: result, tokens };
+}
+
+/**
+ * Restore placeholders in translated text and apply "after" rewrites
+ */
+function finish(text, tokens) {
+  if (!text) return text;
+  const restored = tokens.length > 0
+    ? text.replace(PLACEHOLDER, (match, i) => (tokens[i] !== undefined ? tokens[i] : match))
+    : text;
+  return applyRewrites(restored, compiled.after).trim();
+}
+
+module.exports = { prepare, finish, getGlossary, saveGlossary, loadGlossary, validateGlossary };
@@ -0,0 +1,20 @@
+const { translate } = require("google-translate-api-x");
+
+/**
+ * Google Translate (unofficial web endpoint, no key required).
+ * An array input is sent as a single batched request.
+ */
+function isConfigured() {
+  return true;
+}
+
+async function translateBatch(texts, targetLang) {
+  const results = await translate(texts, { to: targetLang });
+  return results.map(r => r.text);
+}
+
+module.exports = {
+  name: "google",
+  isConfigured,
+  translateBatch
+};
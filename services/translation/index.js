@@ -0,0 +1,127 @@
+const { createJsonStore } = require("../../utils/jsonStore");
+const metrics = require("../../utils/metrics");
+const logger = require("../../logger").child({ component: "Translation" });
+
+/**
+ * =========================
+ * Translation Service
+ * =========================
+ * Adapters share one interface:
+ *   name                             - registry key (TRANSLATION_PROVIDER selects one)
+ *   isConfigured()                   - true when the backend can be used
+ *   translateBatch(texts, targetLang) - translated strings, same order as `texts`; throws on failure
+ *
+ * Every translation goes through a persistent translation memory keyed by source text and
+ * target language, so repeated carrier strings ("Departed from facility") are translated once.
+ */
+const TRANSLATORS = {};
+
+function registerTranslator(translator) {
+  TRANSLATORS[translator.name] = translator;
+}
+
+registerTranslator(require("./google"));
+registerTranslator(require("./libretranslate"));
+registerTranslator(require("./none"));
+
+const memory = createJsonStore("translations");
+
+// Languages customers can translate the timeline into (track page menu, in this order)
+const TARGET_LANGUAGES = [
+  { code: "zh-CN", name: "中文简体" },
+  { code: "nl", name: "Nederlands" },
+  { code: "en", name: "English" },
+  { code: "fr", name: "Français" },
+  { code: "de", name: "Deutsch" },
+  { code: "el", name: "Ελληνικά" },
+  { code: "he", name: "עִברִית" },
+  { code: "hi", name: "हिन्दी" },
+  { code: "id", name: "Bahasa Indonesia" },
+  { code: "it", name: "Italiano" },
+  { code: "ja", name: "日本語" },
+  { code: "ko", name: "한국어" },
+  { code: "pt", name: "Português" },
+  { code: "ru", name: "Русский" },
+  { code: "es", name: "Español" },
+  { code: "sv", name: "Svenska" },
+  { code: "th", name: "ไทย" },
+  { code: "tr", name: "Türkçe" },
+  { code: "vi", name: "Tiếng Việt" },
+  { code: "ms", name: "Bahasa Melayu" },
+  { code: "zu", name: "isiZulu" },
+  { code: "tl", name: "Filipino" },
+  { code: "is", name: "Íslenska" },
+  { code: "da", name: "Dansk" },
+  { code: "pl", name: "Polski" },
+  { code: "no", name: "Norsk" },
+  { code: "hu", name: "Magyar" },
+  { code: "ro", name: "Română" }
+];
+
+/**
+ * The menu for a shop: its enabled language codes (dashboard settings), or every language
+ */
+function targetLanguages(enabled) {
+  if (!Array.isArray(enabled) || enabled.length === 0) return TARGET_LANGUAGES;
+  return TARGET_LANGUAGES.filter(language => enabled.includes(language.code));
+}
+
+// Strings answered from the translation memory vs sent to the provider (GET /metrics)
+const translatedTexts = metrics.counter("translation_texts_total", "Strings translated, by where the translation came from", ["source"]);
+
+function getTranslator() {
+  const name = process.env.TRANSLATION_PROVIDER || "google";
+  const translator = TRANSLATORS[name];
+  if (!translator || !translator.isConfigured()) {
+    logger.warn("Translation provider not available, falling back to \"none\"", { provider: name });
+    return TRANSLATORS.none;
+  }
+  return translator;
+}
+
+function memoryKey(text, targetLang) {
+  return `${targetLang}|${text}`;
+}
+
+/**
+ * Translate many strings at once. Strings already in the translation memory are reused,
+ * the rest go to the provider in a single batch. On provider failure the source text
+ * is returned (and not remembered) so the page still renders.
+ */
+async function translateTexts(texts, targetLang) {
+  const unique = [...new Set(texts.filter(t => t && t.trim()))];
+  const translations = {};
+  const missing = [];
+
+  unique.forEach(text => {
+    const remembered = memory.get(memoryKey(text, targetLang));
+    if (remembered !== undefined) {
+      translations[text] = remembered;
+    } else {
+      missing.push(text);
+    }
+  });
+
+  translatedTexts.inc({ source: "memory" }, unique.length - missing.length);
+
+  if (missing.length > 0) {
+    const translator = getTranslator();
+    try {
+      const translated = translator.name === "none"
+        ? await translator.translateBatch(missing, targetLang)
+        : await metrics.timeUpstream(translator.name, "translate", () => translator.translateBatch(missing, targetLang));
+      translatedTexts.inc({ source: translator.name === "none" ? "untranslated" : "provider" }, missing.length);
+      missing.forEach((text, i) => {
+        translations[text] = translated[i];
+        // The no-op adapter must not fill the memory with untranslated text
+        if (translator.name !== "none") memory.set(memoryKey(text, targetLang), translated[i]);
+      });
+    } catch (e) {
+      logger.error("Translation failed", { provider: translator.name, error: e });
+    }
+  }
+
+  return texts.map(t => (translations[t] !== undefined ? translations[t] : t));
+}
+
+module.exports = { translateTexts, getTranslator, registerTranslator, targetLanguages, TARGET_LANGUAGES };
@@ -0,0 +1,42 @@
+const axios = require("axios");
+
+const LIBRETRANSLATE_URL = (process.env.LIBRETRANSLATE_URL || "").replace(/\/$/, ""); // e.g. http://localhost:5000
+const LIBRETRANSLATE_API_KEY = process.env.LIBRETRANSLATE_API_KEY;
+
+/**
+ * LibreTranslate or any self-hosted server speaking its API.
+ * Docs: https://libretranslate.com/docs/#/translate/post_translate
+ */
+function isConfigured() {
+  return !!LIBRETRANSLATE_URL;
+}
+
+// LibreTranslate uses bare language codes ("zh", not "zh-CN")
+function toLibreLang(lang) {
+  return String(lang).split("-")[0].toLowerCase();
+}
+
+async function translateBatch(texts, targetLang) {
+  const response = await axios.post(`${LIBRETRANSLATE_URL}/translate`, {
+    q: texts,
+    source: "auto",
+    target: toLibreLang(targetLang),
+    format: "text",
+    api_key: LIBRETRANSLATE_API_KEY
+  }, {
+    headers: { "Content-Type": "application/json" },
+    timeout: 15000
+  });
+
+  const translated = response.data.translatedText;
+  if (!Array.isArray(translated) || translated.length !== texts.length) {
+    throw new Error("Unexpected LibreTranslate response");
+  }
+  return translated;
+}
+
+module.exports = {
+  name: "libretranslate",
+  isConfigured,
+  translateBatch
+};
@@ -0,0 +1,17 @@
+/**
+ * No-op translator: returns the source text. Useful for tests and for
+ * stores that only want the original carrier text.
+ */
+function isConfigured() {
+  return true;
+}
+
+async function translateBatch(texts) {
+  return texts.slice();
+}
+
+module.exports = {
+  name: "none",
+  isConfigured,
+  translateBatch
+};
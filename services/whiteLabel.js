@@ -0,0 +1,251 @@
+const fs = require('fs');
+const path = require('path');
+const shopStore = require('./shopStore');
+const logger = require('../logger').child({ component: 'WhiteLabel' });
+
+/**
+ * =========================
+ * White-Label Mode
+ * =========================
+ * Keeps supplier-side details out of the public timeline. App-wide rules live in
+ * config/white-label.json (or WHITE_LABEL_FILE):
+ *
+ *   {
+ *     "enabled": true,
+ *     "milestone": "export customs|出口|Departed from origin",   // drop events before the first match
+ *     "locations": [
+ *       { "country": ["CN", "CHN"], "replace": "" },             // by event country code
+ *       { "pattern": "Shenzhen|深圳", "replace": "Fulfillment center" }
+ *     ],
+ *     "carriers": { "YunExpress": "Acme Express" },              // case-insensitive substring match
+ *     "hide_original_language": true                             // hide "Original (Chinese)" in track.ejs
+ *   }
+ *
+ * A shop can keep its own rules in its settings (merchant dashboard, saveShopConfig());
+ * shops without them use the app-wide file, which only PUT /admin/white-label edits.
+ * Rules run on the untranslated events, so hidden text is never sent to the translator.
+ */
+const WHITE_LABEL_FILE = process.env.WHITE_LABEL_FILE || path.join(__dirname, '..', 'config', 'white-label.json');
+
+const DISABLED = { enabled: false };
+
+let rawConfig = DISABLED;
+let config = { enabled: false, locations: [], carriers: [] };
+
+// Compiled per-shop rules, by their stored object (saving a shop's rules stores a new one)
+const compiledShops = new WeakMap();
+
+function compile(raw) {
+    return {
+        enabled: !!raw.enabled,
+        milestone: raw.milestone ? new RegExp(raw.milestone, 'i') : null,
+        locations: (raw.locations || []).map(rule => ({
+            countries: [].concat(rule.country || []).map(c => String(c).toUpperCase()),
+            pattern: rule.pattern ? new RegExp(rule.pattern, 'gi') : null,
+            replace: rule.replace || ''
+        })),
+        carriers: Object.entries(raw.carriers || {}).map(([from, to]) => ({ from: from.toLowerCase(), to })),
+        hideOriginalLanguage: !!raw.hide_original_language
+    };
+}
+
+/**
+ * Check a white-label config object; returns { ok, config } or { ok: false, error }
+ */
+function validateConfig(input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { ok: false, error: 'White-label config must be an object' };
+    }
+
+    const value = {
+        enabled: !!input.enabled,
+        milestone: input.milestone || null,
+        locations: input.locations || [],
+        carriers: input.carriers || {},
+        hide_original_language: !!input.hide_original_language
+    };
+
+    const checkPattern = (pattern) => {
+        try {
+            new RegExp(pattern, 'i');
+            return null;
+        } catch (e) {
+            return `Invalid pattern "${pattern}": ${e.message}`;
+        }
+    };
+
+    if (value.milestone !== null && typeof value.milestone !== 'string') {
+        return { ok: false, error: '`milestone` must be a pattern string' };
+    }
+    if (value.milestone && checkPattern(value.milestone)) {
+        return { ok: false, error: checkPattern(value.milestone) };
+    }
+    if (!Array.isArray(value.locations)) {
+        return { ok: false, error: '`locations` must be a list' };
+    }
+    for (const rule of value.locations) {
+        if (!rule || (!rule.pattern && !rule.country)) {
+            return { ok: false, error: 'Each location rule needs a `country` or a `pattern`' };
+        }
+        if (rule.pattern && (typeof rule.pattern !== 'string' || checkPattern(rule.pattern))) {
+            return { ok: false, error: typeof rule.pattern !== 'string' ? '`pattern` must be a string' : checkPattern(rule.pattern) };
+        }
+        if (typeof (rule.replace || '') !== 'string') {
+            return { ok: false, error: '`replace` must be a string' };
+        }
+    }
+    if (typeof value.carriers !== 'object' || Array.isArray(value.carriers) || Object.values(value.carriers).some(to => typeof to !== 'string')) {
+        return { ok: false, error: '`carriers` must map carrier names to display names' };
+    }
+
+    return { ok: true, config: value };
+}
+
+function use(raw) {
+    rawConfig = raw;
+    config = compile(raw);
+}
+
+function loadConfig() {
+    try {
+        if (!fs.existsSync(WHITE_LABEL_FILE)) {
+            use(DISABLED);
+            return;
+        }
+        use(JSON.parse(fs.readFileSync(WHITE_LABEL_FILE, 'utf8')));
+    } catch (e) {
+        logger.warn('Could not load white-label config', { file: WHITE_LABEL_FILE, error: e });
+        use(DISABLED);
+    }
+}
+
+loadConfig();
+
+function getConfig() {
+    return rawConfig;
+}
+
+/**
+ * Validate, persist and activate a new app-wide config (callers drop cached tracking results)
+ */
+async function saveConfig(input) {
+    const result = validateConfig(input);
+    if (!result.ok) return result;
+
+    await fs.promises.mkdir(path.dirname(WHITE_LABEL_FILE), { recursive: true });
+    await fs.promises.writeFile(WHITE_LABEL_FILE, JSON.stringify(result.config, null, 2));
+    use(result.config);
+    return { ok: true, config: result.config };
+}
+
+/**
+ * A shop's own rules, or null when it uses the app-wide ones
+ */
+function getShopConfig(shop) {
+    return shopStore.getShopSettings(shop).white_label || null;
+}
+
+/**
+ * Validate and store a shop's own rules; null goes back to the app-wide rules
+ * (callers drop the shop's cached tracking results)
+ */
+function saveShopConfig(shop, input) {
+    if (input === null) {
+        shopStore.updateShopSettings(shop, { white_label: null });
+        return { ok: true, config: null };
+    }
+
+    const result = validateConfig(input);
+    if (!result.ok) return result;
+    shopStore.updateShopSettings(shop, { white_label: result.config });
+    return { ok: true, config: result.config };
+}
+
+// The compiled rules that apply to a shop
+function rulesFor(shop) {
+    const own = getShopConfig(shop);
+    if (!own) return config;
+    if (!compiledShops.has(own)) compiledShops.set(own, compile(own));
+    return compiledShops.get(own);
+}
+
+function isEnabled(shop) {
+    return rulesFor(shop).enabled;
+}
+
+/**
+ * Events are newest first: keep the first (oldest) milestone event and everything after it.
+ * Until the milestone is reached nothing is shown.
+ */
+function dropBeforeMilestone(events, rules) {
+    if (!rules.milestone) return events;
+
+    for (let i = events.length - 1; i >= 0; i--) {
+        const text = `${events[i].desc || events[i].description || ''} ${events[i].location || ''}`;
+        if (rules.milestone.test(text)) {
+            return events.slice(0, i + 1);
+        }
+    }
+    return [];
+}
+
+function maskLocation(event, rules) {
+    let location = event.location || '';
+    const country = String(event.country || '').toUpperCase();
+
+    rules.locations.forEach(rule => {
+        if (rule.countries.length > 0 && country && rule.countries.includes(country)) {
+            location = rule.replace;
+        } else if (rule.pattern) {
+            location = location.replace(rule.pattern, rule.replace);
+        }
+    });
+    return location;
+}
+
+/**
+ * Apply a shop's white-label rules to untranslated events
+ */
+function filterEvents(events, shop) {
+    const rules = rulesFor(shop);
+    if (!rules.enabled || !Array.isArray(events)) return events;
+
+    return dropBeforeMilestone(events, rules).map(event => {
+        const masked = { ...event, location: maskLocation(event, rules) };
+        // Location patterns also cover places mentioned in the description
+        rules.locations.forEach(rule => {
+            if (!rule.pattern) return;
+            if (masked.desc) masked.desc = masked.desc.replace(rule.pattern, rule.replace);
+            if (masked.description) masked.description = masked.description.replace(rule.pattern, rule.replace);
+        });
+        return masked;
+    });
+}
+
+/**
+ * Brand name for a carrier, e.g. "YunExpress" -> "Acme Express"
+ */
+function relabelCarrier(carrier, shop) {
+    const rules = rulesFor(shop);
+    if (!rules.enabled || !carrier) return carrier;
+    const name = String(carrier).toLowerCase();
+    const match = rules.carriers.find(rule => name.includes(rule.from));
+    return match ? match.to : carrier;
+}
+
+function showOriginalLanguage(shop) {
+    const rules = rulesFor(shop);
+    return !(rules.enabled && rules.hideOriginalLanguage);
+}
+
+module.exports = {
+    isEnabled,
+    filterEvents,
+    relabelCarrier,
+    showOriginalLanguage,
+    getConfig,
+    validateConfig,
+    saveConfig,
+    getShopConfig,
+    saveShopConfig
+};
@@ -0,0 +1,65 @@
+require("dotenv").config();
+
+/**
+ * Local check of the alert keyword rules
+ *
+ * Ordinary scans that mention customs or the address ("Delivered to address", "清关完成")
+ * must not raise customs_hold / address_problem; real problems must.
+ * Runs against config/alerts.json, or against the built-in defaults with --defaults.
+ *
+ * Usage: node test-alerts.js [--defaults]
+ */
+if (process.argv.includes("--defaults")) {
+  process.env.ALERT_RULES_FILE = "/nonexistent/alerts.json";
+}
+
+const alerts = require("./services/alerts");
+
+const QUIET = [
+  "Delivered to address",
+  "Arrived at delivery address",
+  "到达收件地址",
+  "已签收，收件地址：上海",
+  "Customs clearance completed",
+  "清关完成",
+  "Livré à l'adresse"
+];
+
+const FLAGGED = [
+  ["Incorrect address, contact the sender", "address_problem"],
+  ["Address unknown", "address_problem"],
+  ["Insufficient address", "address_problem"],
+  ["地址不详", "address_problem"],
+  ["地址错误，无法派送", "address_problem"],
+  ["Shipment held by customs", "customs_hold"]
+];
+
+function rulesFor(desc) {
+  const now = new Date().toISOString();
+  const stored = { status: "in_transit", updated_at: now, events: [{ time: now, desc }] };
+  return alerts.evaluate(stored, {}, {}).map(flag => flag.rule);
+}
+
+function test() {
+  let failures = 0;
+
+  QUIET.forEach(desc => {
+    const rules = rulesFor(desc);
+    if (rules.length > 0) {
+      failures++;
+      console.log(`❌ "${desc}" raised ${rules.join(", ")}`);
+    }
+  });
+
+  FLAGGED.forEach(([desc, rule]) => {
+    if (!rulesFor(desc).includes(rule)) {
+      failures++;
+      console.log(`❌ "${desc}" did not raise ${rule}`);
+    }
+  });
+
+  console.log(failures === 0 ? `✅ ${QUIET.length} ordinary scans quiet, ${FLAGGED.length} problems flagged` : `❌ ${failures} check(s) failed`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+test();
@@ -0,0 +1,26 @@
+require("dotenv").config();
+const cache = require("./utils/cache");
+
+/**
+ * Exercise the configured cache backend.
+ * Usage: CACHE_BACKEND=redis REDIS_URL=redis://localhost:6379 node test-cache.js
+ */
+async function test() {
+  console.log(`--- Testing ${cache.backend.name} backend ---`);
+
+  await cache.set("track_TEST1_en", { ok: true, tracking: "TEST1" }, { ttl: 60, type: "tracking", tags: ["tracking:TEST1"] });
+  await cache.set("shop.myshopify.com:order_track_TEST1", { ok: true }, { ttl: 60, type: "order", tags: ["tracking:TEST1", "order:42"] });
+
+  console.log("Get:", await cache.get("track_TEST1_en", "tracking"));
+  console.log("Miss:", await cache.get("track_NOPE_en", "tracking"));
+
+  const dropped = await cache.invalidate("tracking:TEST1");
+  console.log("Invalidated by tracking number:", dropped);
+  console.log("After invalidate:", await cache.get("shop.myshopify.com:order_track_TEST1", "order"));
+
+  console.log("Stats:", JSON.stringify(cache.stats(), null, 2));
+
+  if (cache.backend.close) await cache.backend.close();
+}
+
+test();
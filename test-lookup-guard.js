@@ -0,0 +1,42 @@
+require("dotenv").config();
+
+/**
+ * Local check of the lookup brute-force guard's per-shop counters
+ *
+ * Fails an order lookup with a differently written shop each time ("Test-Shop...",
+ * "https://test-shop.../", no shop at all -> the env store): they are all the same store,
+ * so the order must be locked out after LOOKUP_MAX_FAILURES_ORDER failures in total.
+ *
+ * Usage: node test-lookup-guard.js
+ */
+process.env.SHOPIFY_SHOP_DOMAIN = "test-shop.myshopify.com";
+process.env.LOOKUP_MAX_FAILURES_ORDER = "3";
+process.env.LOOKUP_MAX_FAILURES_EMAIL = "3";
+
+const lookupGuard = require("./services/lookupGuard");
+
+const SHOPS = ["Test-Shop.myshopify.com", "https://test-shop.myshopify.com/", undefined];
+
+async function test() {
+  // A new IP per attempt so only the order/email counters can lock the lookup out
+  const ctx = (shop, i) => ({ shop, ip: `203.0.113.${i + 1}`, order: "#1001", email: "buyer@example.com" });
+
+  for (let i = 0; i < SHOPS.length; i++) {
+    const check = lookupGuard.checkAttempt(ctx(SHOPS[i], i));
+    if (!check.allowed) {
+      console.log(`❌ Locked out after ${i} failures, expected ${SHOPS.length}`);
+      process.exit(1);
+    }
+    await lookupGuard.recordFailure(ctx(SHOPS[i], i), "ORDER_NOT_FOUND");
+  }
+
+  const results = ["test-shop.myshopify.com", "TEST-SHOP.MYSHOPIFY.COM", undefined]
+    .map((shop, i) => lookupGuard.checkAttempt(ctx(shop, 10 + i)));
+  const passed = results.every(check => check.code === "TOO_MANY_ATTEMPTS");
+  console.log(passed
+    ? "✅ Every spelling of the shop shares one lockout"
+    : `❌ Expected TOO_MANY_ATTEMPTS for every spelling, got ${results.map(check => check.code || "allowed").join(", ")}`);
+  process.exit(passed ? 0 : 1);
+}
+
+test();
@@ -0,0 +1,97 @@
+require("dotenv").config();
+const net = require("net");
+
+/**
+ * Local notification check with a built-in SMTP sink
+ *
+ * 1. Starts a minimal SMTP server on SMTP_SINK_PORT (default 2525) that prints every message.
+ * 2. Registers a contact for a tracking number and saves two status changes
+ *    (in transit -> delivered), which should send exactly two emails.
+ *    Saving the delivered status again must not send a third.
+ *
+ * Usage: node test-notify.js [email] [trackingNumber]
+ * (uses DATA_DIR for its stores; point it at a scratch directory)
+ */
+const SINK_PORT = process.env.SMTP_SINK_PORT || 2525;
+const EMAIL = process.argv[2] || "customer@example.com";
+const NUMBER = process.argv[3] || `NOTIFY${Date.now()}`;
+
+process.env.SMTP_HOST = "127.0.0.1";
+process.env.SMTP_PORT = String(SINK_PORT);
+process.env.NOTIFICATION_CHANNELS = "email";
+
+let received = 0;
+
+function startSmtpSink() {
+  return new Promise(resolve => {
+    const server = net.createServer(socket => {
+      let inData = false;
+      let buffer = "";
+      let message = "";
+      const reply = (line) => socket.write(`${line}\r\n`);
+
+      reply("220 localhost test sink");
+      socket.on("data", chunk => {
+        buffer += chunk.toString("utf8");
+        let index;
+        while ((index = buffer.indexOf("\r\n")) !== -1) {
+          const line = buffer.slice(0, index);
+          buffer = buffer.slice(index + 2);
+
+          if (inData) {
+            if (line === ".") {
+              inData = false;
+              received++;
+              const subject = (message.match(/^Subject: (.*)$/m) || [])[1];
+              console.log(`[Sink] Message #${received}: ${subject}`);
+              message = "";
+              reply("250 OK");
+            } else {
+              message += `${line}\n`;
+            }
+            continue;
+          }
+
+          const command = line.split(" ")[0].toUpperCase();
+          if (command === "EHLO" || command === "HELO") reply("250 localhost");
+          else if (command === "DATA") { inData = true; reply("354 End data with <CR><LF>.<CR><LF>"); }
+          else if (command === "QUIT") { reply("221 Bye"); socket.end(); }
+          else reply("250 OK");
+        }
+      });
+    });
+    server.listen(SINK_PORT, () => {
+      console.log(`SMTP sink listening on 127.0.0.1:${SINK_PORT}`);
+      resolve(server);
+    });
+  });
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function test() {
+  const server = await startSmtpSink();
+
+  const notifications = require("./services/notifications");
+  const contacts = require("./services/notifications/contacts");
+  const trackingStore = require("./utils/trackingStore");
+  const { STATUS } = require("./utils/shipmentStatus");
+
+  notifications.start();
+  contacts.addContact(NUMBER, { email: EMAIL, order: "#TEST1", locale: "fr", source: "order" });
+
+  const event = (desc) => ({ time: new Date().toISOString(), desc, location: "Paris, FR" });
+
+  trackingStore.saveTracking(NUMBER, { status: STATUS.IN_TRANSIT, events: [event("In transit")] });
+  await wait(1500);
+  trackingStore.saveTracking(NUMBER, { status: STATUS.DELIVERED, events: [event("Delivered")] });
+  await wait(1500);
+  trackingStore.saveTracking(NUMBER, { status: STATUS.DELIVERED, events: [event("Delivered")] });
+  await wait(1500);
+
+  console.log(received === 2 ? "✅ 2 notifications sent" : `❌ Expected 2 notifications, got ${received}`);
+  server.close();
+  process.exit(received === 2 ? 0 : 1);
+}
+
+test();
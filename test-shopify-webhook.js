@@ -0,0 +1,125 @@
+require("dotenv").config();
+const http = require("http");
+const crypto = require("crypto");
+const axios = require("axios");
+
+/**
+ * Local Shopify order webhooks
+ *
+ * 1. Serves a mock Admin API on MOCK_ADMIN_PORT (default 4590) that answers the order query
+ *    with one fulfilled order. Start the app with SHOPIFY_API_BASE_URL=http://localhost:4590
+ *    (plus SHOPIFY_APP_SECRET, SHOPIFY_SHOP_DOMAIN and SHOPIFY_ACCESS_TOKEN) to use it.
+ * 2. Posts HMAC-signed fulfillments/create and orders/updated webhooks to the app, then a
+ *    badly signed one, and looks the tracking number up through the app's JSON API.
+ *
+ * Usage: node test-shopify-webhook.js [trackingNumber]
+ */
+const APP_URL = process.env.WEBHOOK_APP_URL || `http://localhost:${process.env.PORT || 3000}`;
+const SECRET = process.env.SHOPIFY_APP_SECRET || "test-secret";
+const SHOP = process.env.SHOPIFY_SHOP_DOMAIN || "test-shop.myshopify.com";
+const MOCK_PORT = process.env.MOCK_ADMIN_PORT || 4590;
+const NUMBER = process.argv[2] || `SHOPIFY${Date.now()}`;
+
+let orderQueries = 0;
+
+function sampleOrderNode() {
+  const lineItem = {
+    id: "gid://shopify/LineItem/11",
+    title: "Touch Up Paint",
+    quantity: 1,
+    variantTitle: null,
+    sku: "PAINT-1",
+    originalUnitPriceSet: { shopMoney: { amount: "24.99", currencyCode: "USD" } },
+    image: { url: "https://cdn.shopify.com/paint.png" },
+    variant: null
+  };
+  return {
+    id: "gid://shopify/Order/1",
+    name: "#1001",
+    email: "customer@example.com",
+    createdAt: new Date().toISOString(),
+    currencyCode: "USD",
+    shippingAddress: { country: "France", countryCodeV2: "FR" },
+    lineItems: { pageInfo: { hasNextPage: false }, edges: [{ node: lineItem }] },
+    fulfillments: [
+      {
+        id: "gid://shopify/Fulfillment/21",
+        createdAt: new Date().toISOString(),
+        displayStatus: "FULFILLED",
+        trackingInfo: [{ number: NUMBER, company: "USPS", url: null }],
+        fulfillmentLineItems: {
+          pageInfo: { hasNextPage: false },
+          edges: [{ node: { quantity: 1, lineItem: { id: lineItem.id } } }]
+        }
+      }
+    ]
+  };
+}
+
+function startMockAdminApi() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        const { query } = JSON.parse(body);
+        const data = query.includes("orderById") ? { order: sampleOrderNode() } : {};
+        if (query.includes("orderById")) orderQueries++;
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ data }));
+      });
+    });
+    server.listen(MOCK_PORT, () => {
+      console.log(`Mock Admin API listening on http://localhost:${MOCK_PORT}`);
+      resolve(server);
+    });
+  });
+}
+
+async function send(topic, payload, secret = SECRET) {
+  const body = JSON.stringify(payload);
+  const hmac = crypto.createHmac("sha256", secret).update(body).digest("base64");
+  const response = await axios.post(`${APP_URL}/webhooks/shopify`, body, {
+    headers: {
+      "Content-Type": "application/json",
+      "X-Shopify-Topic": topic,
+      "X-Shopify-Shop-Domain": SHOP,
+      "X-Shopify-Hmac-Sha256": hmac
+    },
+    validateStatus: () => true
+  });
+  console.log(`${topic} -> ${response.status}`);
+}
+
+async function test() {
+  const server = await startMockAdminApi();
+
+  const fulfillment = {
+    id: 21,
+    admin_graphql_api_id: "gid://shopify/Fulfillment/21",
+    order_id: 1,
+    name: "#1001.1",
+    status: "success",
+    created_at: new Date().toISOString(),
+    tracking_company: "USPS",
+    tracking_number: NUMBER,
+    tracking_numbers: [NUMBER]
+  };
+
+  try {
+    await send("fulfillments/create", fulfillment);
+    await send("orders/updated", { id: 1, admin_graphql_api_id: "gid://shopify/Order/1", name: "#1001", fulfillments: [fulfillment] });
+    await send("orders/updated", { id: 1 }, "wrong-secret");
+
+    const lookup = await axios.get(`${APP_URL}/api/v1/trackings/${encodeURIComponent(NUMBER)}`, { validateStatus: () => true });
+    const order = lookup.data.order;
+    console.log(`Lookup ${NUMBER} -> ${lookup.status}`, order ? `${order.name} (${lookup.data.packages.length} package(s))` : lookup.data);
+    console.log(`Admin API order queries: ${orderQueries} (the lookup itself should not add one)`);
+  } catch (e) {
+    console.error("Webhook test failed:", e.message);
+  }
+
+  server.close();
+}
+
+test();
@@ -0,0 +1,91 @@
+require("dotenv").config();
+const http = require("http");
+const crypto = require("crypto");
+const axios = require("axios");
+
+/**
+ * Local fake 17TRACK
+ *
+ * 1. Serves a minimal /register + /gettrackinfo API on FAKE_17TRACK_PORT (default 4017).
+ *    Start the app with TRACK17_API_BASE=http://localhost:4017 to use it.
+ * 2. Posts signed TRACKING_UPDATED / TRACKING_STOPPED pushes to the app's webhook.
+ *
+ * Usage: node test-webhook.js [trackingNumber]
+ */
+const SERVER_URL = process.env.WEBHOOK_TARGET || `http://localhost:${process.env.PORT || 3000}/webhooks/17track`;
+const SECRET = process.env.TRACK17_WEBHOOK_SECRET || process.env.TRACK17_KEY || "test-secret";
+const FAKE_PORT = process.env.FAKE_17TRACK_PORT || 4017;
+const NUMBER = process.argv[2] || "YT0000000000000001";
+
+function sampleTrackInfo(number) {
+  return {
+    latest_status: { status: "InTransit", sub_status: "InTransit_Other", status_description: "In transit" },
+    tracking: {
+      providers: [
+        {
+          provider: { key: 190008, name: "YunExpress", alias: "YunExpress" },
+          events: [
+            { time_iso: "2026-01-23T09:10:00+08:00", description: "Departed from facility", location: "Shenzhen, CN" },
+            { time_iso: "2026-01-21T15:30:00+08:00", description: "Picked up", location: "Shenzhen, CN" }
+          ]
+        }
+      ]
+    },
+    number
+  };
+}
+
+function sign(body) {
+  return crypto.createHash("sha256").update(`${body}/${SECRET}`).digest("hex");
+}
+
+async function push(event, data) {
+  const body = JSON.stringify({ event, data });
+  const response = await axios.post(SERVER_URL, body, {
+    headers: { "Content-Type": "application/json", sign: sign(body) },
+    validateStatus: () => true
+  });
+  console.log(`${event} -> ${response.status}`, response.data);
+}
+
+function startFakeApi() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let raw = "";
+      req.on("data", chunk => (raw += chunk));
+      req.on("end", () => {
+        const items = raw ? JSON.parse(raw) : [];
+        const accepted = items.map(i => ({ number: i.number, track_info: sampleTrackInfo(i.number) }));
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ code: 0, data: { accepted, rejected: [] } }));
+      });
+    });
+    server.listen(FAKE_PORT, () => {
+      console.log(`Fake 17TRACK API listening on http://localhost:${FAKE_PORT}`);
+      resolve(server);
+    });
+  });
+}
+
+async function test() {
+  const server = await startFakeApi();
+
+  console.log(`--- Pushing sample payloads for ${NUMBER} to ${SERVER_URL} ---`);
+  try {
+    await push("TRACKING_UPDATED", { number: NUMBER, carrier: 190008, track_info: sampleTrackInfo(NUMBER) });
+    await push("TRACKING_STOPPED", { number: NUMBER, carrier: 190008 });
+
+    // Bad signature should be rejected
+    const response = await axios.post(SERVER_URL, JSON.stringify({ event: "TRACKING_UPDATED", data: { number: NUMBER } }), {
+      headers: { "Content-Type": "application/json", sign: "bogus" },
+      validateStatus: () => true
+    });
+    console.log("Bad signature ->", response.status);
+  } catch (e) {
+    console.error("Push failed:", e.message);
+  }
+
+  server.close();
+}
+
+test();
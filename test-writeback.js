@@ -0,0 +1,95 @@
+require("dotenv").config();
+const http = require("http");
+
+/**
+ * Local check of the Shopify status write-back against a mock Admin API
+ *
+ * 1. Starts a mock Admin API on MOCK_ADMIN_PORT (default 4590) that answers the
+ *    fulfillment events query and fulfillmentEventCreate, keeping events in memory.
+ * 2. Saves in transit -> in transit (new event) -> out for delivery -> delivered -> delivered
+ *    for an indexed tracking number: exactly three Shopify events must be created.
+ *
+ * Usage: node test-writeback.js [--dry-run]   (dry run: nothing may be created)
+ * (uses DATA_DIR for its stores; point it at a scratch directory)
+ */
+const MOCK_PORT = process.env.MOCK_ADMIN_PORT || 4590;
+const DRY_RUN = process.argv.includes("--dry-run");
+const NUMBER = `WRITEBACK${Date.now()}`;
+const FULFILLMENT_ID = "gid://shopify/Fulfillment/1001";
+
+process.env.SHOPIFY_API_BASE_URL = `http://127.0.0.1:${MOCK_PORT}`;
+process.env.SHOPIFY_SHOP_DOMAIN = "test-shop.myshopify.com";
+process.env.SHOPIFY_ACCESS_TOKEN = "mock-token";
+process.env.SHOPIFY_WRITEBACK = DRY_RUN ? "dry-run" : "on";
+
+const events = [];
+
+function startMockAdminApi() {
+  return new Promise(resolve => {
+    const server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", chunk => { body += chunk; });
+      req.on("end", () => {
+        const { query, variables } = JSON.parse(body);
+        let data;
+
+        if (query.includes("fulfillmentEventCreate")) {
+          const input = variables.fulfillmentEvent;
+          const event = { id: `gid://shopify/FulfillmentEvent/${events.length + 1}`, status: input.status };
+          events.push({ ...event, input });
+          console.log(`[Mock Admin API] fulfillmentEventCreate ${input.status} (${input.message})`);
+          data = { fulfillmentEventCreate: { fulfillmentEvent: event, userErrors: [] } };
+        } else if (query.includes("fulfillmentEvents")) {
+          data = { fulfillment: { events: { edges: events.map(e => ({ node: { status: e.status } })) } } };
+        } else {
+          data = {};
+        }
+
+        res.setHeader("Content-Type", "application/json");
+        res.end(JSON.stringify({ data }));
+      });
+    });
+    server.listen(MOCK_PORT, () => {
+      console.log(`Mock Admin API listening on 127.0.0.1:${MOCK_PORT}`);
+      resolve(server);
+    });
+  });
+}
+
+async function test() {
+  const server = await startMockAdminApi();
+
+  const shopifyWriteback = require("./services/shopifyWriteback");
+  const orderIndex = require("./services/orderIndex");
+  const trackingStore = require("./utils/trackingStore");
+  const { STATUS } = require("./utils/shipmentStatus");
+
+  shopifyWriteback.start();
+  orderIndex.rememberFulfillment({
+    tracking: NUMBER,
+    shop: "test-shop.myshopify.com",
+    order_id: "gid://shopify/Order/1",
+    order_name: "#TEST1",
+    fulfillment_id: FULFILLMENT_ID
+  });
+
+  const event = (desc) => ({ time: new Date().toISOString(), desc, location: "Paris, FR" });
+  const save = async (status, desc) => {
+    trackingStore.saveTracking(NUMBER, { status, status_text: desc, events: [event(desc)] });
+    await trackingStore.whenIdle();
+  };
+
+  await save(STATUS.IN_TRANSIT, "In transit");
+  await save(STATUS.IN_TRANSIT, "Arrived at hub");
+  await save(STATUS.OUT_FOR_DELIVERY, "Out for delivery");
+  await save(STATUS.DELIVERED, "Delivered");
+  await save(STATUS.DELIVERED, "Delivered");
+
+  const expected = DRY_RUN ? 0 : 3;
+  const passed = events.length === expected;
+  console.log(passed ? `✅ ${expected} fulfillment events created` : `❌ Expected ${expected} fulfillment events, got ${events.length}`);
+  server.close();
+  process.exit(passed ? 0 : 1);
+}
+
+test();
@@ -0,0 +1,62 @@
+const crypto = require('crypto');
+const { verifySessionToken } = require('./shopifyAuth');
+const { resolveShop } = require('../services/shopStore');
+
+function bearerToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : '';
+}
+
+function isAdminToken(token) {
+    const expected = process.env.ADMIN_API_TOKEN;
+    if (!expected) return false;
+    try {
+        return crypto.timingSafeEqual(Buffer.from(token), Buffer.from(expected));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Protect admin endpoints with a shared token: `Authorization: Bearer <ADMIN_API_TOKEN>`.
+ * Without ADMIN_API_TOKEN configured the admin endpoints are disabled.
+ */
+function requireAdminToken() {
+    return (req, res, next) => {
+        if (!process.env.ADMIN_API_TOKEN) {
+            return res.status(404).json({ ok: false, code: 'NOT_FOUND', error: 'Not found' });
+        }
+
+        if (!isAdminToken(bearerToken(req))) {
+            return res.status(401).json({ ok: false, code: 'UNAUTHORIZED', error: 'Invalid admin token' });
+        }
+        next();
+    };
+}
+
+/**
+ * Protect the merchant dashboard API with Shopify session tokens (`Authorization: Bearer <id token>`)
+ * and set `req.shop` to the shop the token was issued for.
+ * Scripts may use ADMIN_API_TOKEN instead, naming the shop with `?shop=` (default: the env store).
+ */
+function requireSessionToken() {
+    return (req, res, next) => {
+        const token = bearerToken(req);
+        const session = verifySessionToken(token, {
+            apiKey: process.env.SHOPIFY_API_KEY,
+            secret: process.env.SHOPIFY_APP_SECRET
+        });
+
+        if (session) {
+            req.shop = session.shop;
+            return next();
+        }
+        if (isAdminToken(token)) {
+            req.shop = resolveShop(req.query.shop);
+            return next();
+        }
+        res.status(401).json({ ok: false, code: 'UNAUTHORIZED', error: 'Invalid session token' });
+    };
+}
+
+module.exports = { requireAdminToken, requireSessionToken };
@@ -1,7 +1,126 @@
-const NodeCache = require("node-cache");
+const { createMemoryBackend } = require("./cacheBackends/memory");
+const { createFileBackend } = require("./cacheBackends/file");
+const { createRedisBackend } = require("./cacheBackends/redis");
+const logger = require("../logger").child({ component: "Cache" });
 
-// Standard TTL: 1 hour (3600 seconds)
-// Check period: 2 minutes (120 seconds)
-const cache = new NodeCache({ stdTTL: 3600, checkperiod: 120 });
+/**
+ * =========================
+ * Cache
+ * =========================
+ * One async API over swappable backends, selected with CACHE_BACKEND:
+ *   memory (default) | file (data/cache.json) | redis (REDIS_URL, any Redis-protocol server)
+ *
+ *   await cache.get(key, type)
+ *   await cache.set(key, value, { ttl, type, tags })
+ *   await cache.invalidate(tag)      e.g. "tracking:YT123", "order:<id>", "shop:<domain>"
+ *   cache.stats()                    hit/miss counters per type
+ *
+ * A backend failure never breaks a request: reads count as a miss, writes are dropped.
+ */
+const BACKENDS = {
+  memory: createMemoryBackend,
+  file: createFileBackend,
+  redis: createRedisBackend
+};
 
-module.exports = cache;
+/**
+ * TTL policies (seconds) per data type; each can be overridden with CACHE_TTL_<NAME>
+ */
+const TTL = {};
+const TTL_DEFAULTS = {
+  TRACKING_REGISTERED: 300,      // Just registered, details are coming soon
+  TRACKING_ACTIVE: 3600,         // In transit
+  TRACKING_DELIVERED: 86400,     // Final state, rarely changes
+  ORDER_LOOKUP: 300              // Shopify order lookups
+};
+Object.keys(TTL_DEFAULTS).forEach(name => {
+  TTL[name] = parseInt(process.env[`CACHE_TTL_${name}`], 10) || TTL_DEFAULTS[name];
+});
+
+const backendName = process.env.CACHE_BACKEND || "memory";
+const createBackend = BACKENDS[backendName];
+if (!createBackend) {
+  throw new Error(`Unknown CACHE_BACKEND "${backendName}" (expected: ${Object.keys(BACKENDS).join(", ")})`);
+}
+const backend = createBackend();
+logger.info("Cache backend", { backend: backend.name });
+
+// Tag index entries live in the same backend: "tag:<tag>|<key>"
+const TAG_PREFIX = "tag:";
+
+const counters = {};
+
+function count(type, field) {
+  const name = type || "other";
+  counters[name] = counters[name] || { hits: 0, misses: 0, sets: 0, errors: 0 };
+  counters[name][field]++;
+}
+
+async function get(key, type) {
+  try {
+    const value = await backend.get(key);
+    count(type, value === undefined ? "misses" : "hits");
+    return value;
+  } catch (error) {
+    count(type, "errors");
+    count(type, "misses");
+    logger.error("Cache get failed", { key, error });
+    return undefined;
+  }
+}
+
+async function set(key, value, { ttl = TTL.TRACKING_ACTIVE, type, tags = [] } = {}) {
+  try {
+    await backend.set(key, value, ttl);
+    await Promise.all(tags.map(tag => backend.set(`${TAG_PREFIX}${tag}|${key}`, 1, ttl)));
+    count(type, "sets");
+  } catch (error) {
+    count(type, "errors");
+    logger.error("Cache set failed", { key, error });
+  }
+}
+
+async function del(keys) {
+  try {
+    await backend.del(keys);
+  } catch (error) {
+    logger.error("Cache del failed", { error });
+  }
+}
+
+/**
+ * Drop every entry tagged with `tag`
+ */
+async function invalidate(tag) {
+  try {
+    const tagKeys = await backend.keys(`${TAG_PREFIX}${tag}|`);
+    if (tagKeys.length === 0) return 0;
+
+    const keys = tagKeys.map(k => k.slice(`${TAG_PREFIX}${tag}|`.length));
+    await backend.del([...keys, ...tagKeys]);
+    return keys.length;
+  } catch (error) {
+    logger.error("Cache invalidate failed", { tag, error });
+    return 0;
+  }
+}
+
+/**
+ * Hit/miss counters per type plus overall hit ratio
+ */
+function stats() {
+  const total = Object.values(counters).reduce((acc, c) => ({
+    hits: acc.hits + c.hits,
+    misses: acc.misses + c.misses
+  }), { hits: 0, misses: 0 });
+
+  return {
+    backend: backend.name,
+    hits: total.hits,
+    misses: total.misses,
+    hitRatio: total.hits + total.misses > 0 ? total.hits / (total.hits + total.misses) : 0,
+    byType: JSON.parse(JSON.stringify(counters))
+  };
+}
+
+module.exports = { get, set, del, invalidate, stats, TTL, backend };
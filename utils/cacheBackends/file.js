@@ -0,0 +1,43 @@
+const { createJsonStore } = require("../jsonStore");
+
+/**
+ * File-backed cache (data/cache.json). Survives restarts and redeploys that keep the data volume;
+ * still single-node. Entries are stored as { value, expires } and purged lazily + every few minutes.
+ */
+function createFileBackend() {
+  const store = createJsonStore("cache", { flushDelayMs: 2000 });
+
+  function isExpired(entry) {
+    return !entry || (entry.expires && entry.expires < Date.now());
+  }
+
+  const sweep = setInterval(() => {
+    store.keys().forEach(key => {
+      if (isExpired(store.get(key))) store.delete(key);
+    });
+  }, 5 * 60 * 1000);
+  if (sweep.unref) sweep.unref();
+
+  return {
+    name: "file",
+    async get(key) {
+      const entry = store.get(key);
+      if (isExpired(entry)) {
+        if (entry) store.delete(key);
+        return undefined;
+      }
+      return entry.value;
+    },
+    async set(key, value, ttlSeconds) {
+      store.set(key, { value, expires: ttlSeconds ? Date.now() + ttlSeconds * 1000 : null });
+    },
+    async del(keys) {
+      [].concat(keys).forEach(key => store.delete(key));
+    },
+    async keys(prefix) {
+      return store.keys().filter(k => k.startsWith(prefix) && !isExpired(store.get(k)));
+    }
+  };
+}
+
+module.exports = { createFileBackend };
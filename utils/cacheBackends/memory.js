@@ -0,0 +1,27 @@
+const NodeCache = require("node-cache");
+
+/**
+ * In-process cache (the original behaviour). Fast, but lost on restart and not shared between replicas.
+ */
+function createMemoryBackend() {
+  // Check period: 2 minutes (120 seconds)
+  const store = new NodeCache({ stdTTL: 3600, checkperiod: 120, useClones: false });
+
+  return {
+    name: "memory",
+    async get(key) {
+      return store.get(key);
+    },
+    async set(key, value, ttlSeconds) {
+      store.set(key, value, ttlSeconds);
+    },
+    async del(keys) {
+      store.del(keys);
+    },
+    async keys(prefix) {
+      return store.keys().filter(k => k.startsWith(prefix));
+    }
+  };
+}
+
+module.exports = { createMemoryBackend };
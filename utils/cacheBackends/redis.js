@@ -0,0 +1,54 @@
+const logger = require("../../logger").child({ component: "Cache" });
+
+/**
+ * Redis (or any Redis-protocol server: KeyDB, Dragonfly, Valkey...) backend.
+ * Shared by every replica. Values are JSON encoded; keys are namespaced with REDIS_KEY_PREFIX.
+ */
+function createRedisBackend() {
+  // Only load the client when this backend is selected
+  const Redis = require("ioredis");
+
+  const url = process.env.REDIS_URL || "redis://127.0.0.1:6379";
+  const prefix = process.env.REDIS_KEY_PREFIX || "track:";
+  const client = new Redis(url, { maxRetriesPerRequest: 2, lazyConnect: false });
+
+  client.on("error", (error) => {
+    logger.error("Redis cache error", { error });
+  });
+
+  return {
+    name: "redis",
+    client,
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      return raw === null ? undefined : JSON.parse(raw);
+    },
+    async set(key, value, ttlSeconds) {
+      if (ttlSeconds) {
+        await client.set(prefix + key, JSON.stringify(value), "EX", ttlSeconds);
+      } else {
+        await client.set(prefix + key, JSON.stringify(value));
+      }
+    },
+    async del(keys) {
+      const list = [].concat(keys).map(k => prefix + k);
+      if (list.length > 0) await client.del(...list);
+    },
+    async keys(keyPrefix) {
+      // SCAN rather than KEYS so a big keyspace doesn't block the server
+      const found = [];
+      let cursor = "0";
+      do {
+        const [next, batch] = await client.scan(cursor, "MATCH", `${prefix}${keyPrefix}*`, "COUNT", 200);
+        cursor = next;
+        found.push(...batch.map(k => k.slice(prefix.length)));
+      } while (cursor !== "0");
+      return found;
+    },
+    async close() {
+      await client.quit();
+    }
+  };
+}
+
+module.exports = { createRedisBackend };
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const NodeCache = require('node-cache');
+
+/**
+ * =========================
+ * Lookup Challenges
+ * =========================
+ * Optional extra step required after repeated failed lookups.
+ * A challenge adapter exposes:
+ *   name                 - registry key (LOOKUP_CHALLENGE env selects one)
+ *   issue()              - payload the client needs to solve it (rendered into the page / API error)
+ *   verify(response)     - true when { salt, solution } (or a CAPTCHA token) is valid
+ *
+ * Ships with a proof-of-work stub (solved in the browser, no third party) and "none".
+ * A CAPTCHA adapter (hCaptcha, Turnstile...) only needs to implement the same interface.
+ */
+const CHALLENGES = {};
+
+// Signing key for issued challenges; random per process unless configured (set it when running replicas)
+const CHALLENGE_SECRET = process.env.LOOKUP_CHALLENGE_SECRET || crypto.randomBytes(32).toString('hex');
+const POW_DIFFICULTY = parseInt(process.env.LOOKUP_POW_DIFFICULTY, 10) || 4; // leading hex zeros
+const CHALLENGE_TTL_MS = 10 * 60 * 1000;
+
+// Solved challenges can't be replayed
+const usedSalts = new NodeCache({ stdTTL: CHALLENGE_TTL_MS / 1000, checkperiod: 120 });
+
+function registerChallenge(challenge) {
+    CHALLENGES[challenge.name] = challenge;
+}
+
+function sign(value) {
+    return crypto.createHmac('sha256', CHALLENGE_SECRET).update(value).digest('hex');
+}
+
+/**
+ * Proof of work: find `solution` such that sha256(salt + solution) starts with N zeros.
+ * The salt carries its own expiry and HMAC, so no server-side state is needed until it's used.
+ */
+registerChallenge({
+    name: 'pow',
+    issue() {
+        const payload = `${Date.now() + CHALLENGE_TTL_MS}.${crypto.randomBytes(8).toString('hex')}`;
+        return { type: 'pow', salt: `${payload}.${sign(payload)}`, difficulty: POW_DIFFICULTY };
+    },
+    verify(response) {
+        if (!response || !response.salt || response.solution === undefined) return false;
+
+        const { salt, solution } = response;
+        const [expires, random, mac] = String(salt).split('.');
+        if (!expires || !random || !mac) return false;
+
+        const expected = sign(`${expires}.${random}`);
+        try {
+            if (!crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(mac))) return false;
+        } catch (e) {
+            return false;
+        }
+        if (parseInt(expires, 10) < Date.now() || usedSalts.has(salt)) return false;
+
+        const hash = crypto.createHash('sha256').update(`${salt}${solution}`).digest('hex');
+        if (!hash.startsWith('0'.repeat(POW_DIFFICULTY))) return false;
+
+        usedSalts.set(salt, true);
+        return true;
+    }
+});
+
+registerChallenge({
+    name: 'none',
+    issue() {
+        return null;
+    },
+    verify() {
+        return true;
+    }
+});
+
+function getChallenge() {
+    return CHALLENGES[process.env.LOOKUP_CHALLENGE || 'pow'] || CHALLENGES.none;
+}
+
+module.exports = { getChallenge, registerChallenge };
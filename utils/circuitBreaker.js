@@ -0,0 +1,80 @@
+const logger = require('../logger').child({ component: 'Circuit' });
+
+/**
+ * Minimal circuit breaker for upstream APIs.
+ *
+ * closed    - calls go through; consecutive failures are counted
+ * open      - after `failureThreshold` failures, calls fail fast for `resetTimeoutMs`
+ * half-open - one trial call at a time; other calls fail fast until it settles,
+ *             then success closes the circuit and failure re-opens it
+ */
+class CircuitOpenError extends Error {
+    constructor(name) {
+        super(`Circuit "${name}" is open`);
+        this.name = 'CircuitOpenError';
+    }
+}
+
+function createCircuitBreaker(name, {
+    failureThreshold = parseInt(process.env.CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    resetTimeoutMs = (parseInt(process.env.CIRCUIT_RESET_SECONDS, 10) || 60) * 1000
+} = {}) {
+    let state = 'closed';
+    let failures = 0;
+    let openedAt = 0;
+    let probing = false; // a half-open trial call is in flight
+
+    function onSuccess() {
+        if (state !== 'closed') {
+            logger.info('Circuit closed', { breaker: name });
+        }
+        state = 'closed';
+        failures = 0;
+    }
+
+    function onFailure() {
+        failures++;
+        if (state === 'half-open' || failures >= failureThreshold) {
+            if (state !== 'open') {
+                logger.warn('Circuit opened', { breaker: name, failures });
+            }
+            state = 'open';
+            openedAt = Date.now();
+        }
+    }
+
+    async function exec(fn) {
+        if (state === 'open') {
+            if (Date.now() - openedAt < resetTimeoutMs) {
+                throw new CircuitOpenError(name);
+            }
+            state = 'half-open';
+        }
+
+        // Half-open admits a single trial call, so a recovering upstream doesn't get the full load at once
+        const probe = state === 'half-open';
+        if (probe) {
+            if (probing) throw new CircuitOpenError(name);
+            probing = true;
+        }
+
+        try {
+            const result = await fn();
+            onSuccess();
+            return result;
+        } catch (error) {
+            onFailure();
+            throw error;
+        } finally {
+            if (probe) probing = false;
+        }
+    }
+
+    return {
+        name,
+        exec,
+        getState: () => state
+    };
+}
+
+module.exports = { createCircuitBreaker, CircuitOpenError };
@@ -0,0 +1,115 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * =========================
+ * UI Localization
+ * =========================
+ * One JSON catalog per locale in locales/ (en.json is the reference and the fallback).
+ * Values may use {placeholders}; plural strings are objects keyed by Intl.PluralRules
+ * categories ({ "one": "...", "other": "..." }) and pick a form from `count`.
+ *
+ * The page locale comes from, in order: Shopify's `locale` proxy param, the `lang`
+ * query, the Accept-Language header, then DEFAULT_LOCALE.
+ */
+const LOCALES_DIR = path.join(__dirname, "..", "locales");
+const DEFAULT_LOCALE = process.env.DEFAULT_LOCALE || "en";
+
+const catalogs = {};
+fs.readdirSync(LOCALES_DIR)
+  .filter(file => file.endsWith(".json"))
+  .forEach(file => {
+    catalogs[path.basename(file, ".json")] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, file), "utf8"));
+  });
+
+// Default first, so "Accept-Language: *" resolves to it
+const SUPPORTED = Object.keys(catalogs).sort((a, b) => (b === DEFAULT_LOCALE) - (a === DEFAULT_LOCALE));
+
+/**
+ * Closest supported locale for a tag: exact ("pt-BR"), then language only ("fr-CA" -> "fr"),
+ * then any regional variant of the language ("zh" -> "zh-CN")
+ */
+function matchLocale(tag) {
+  if (!tag) return null;
+  const wanted = String(tag).trim().replace(/_/g, "-").toLowerCase();
+  const base = wanted.split("-")[0];
+  return SUPPORTED.find(l => l.toLowerCase() === wanted)
+    || SUPPORTED.find(l => l.toLowerCase() === base)
+    || SUPPORTED.find(l => l.toLowerCase().split("-")[0] === base)
+    || null;
+}
+
+function resolveLocale(req) {
+  const query = req.query || {};
+  return matchLocale(query.locale)
+    || matchLocale(query.lang)
+    || (req.get("Accept-Language") ? matchLocale(req.acceptsLanguages(...SUPPORTED)) : null)
+    || DEFAULT_LOCALE;
+}
+
+function lookup(catalog, key) {
+  return key.split(".").reduce((node, part) => (node && node[part] !== undefined ? node[part] : undefined), catalog);
+}
+
+function interpolate(text, vars) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (vars[name] !== undefined ? String(vars[name]) : match));
+}
+
+/**
+ * t(key, vars) for a locale, falling back to the default catalog and finally the key itself
+ */
+function createTranslator(locale) {
+  const pluralRules = new Intl.PluralRules(locale);
+
+  return function t(key, vars = {}) {
+    let value = lookup(catalogs[locale], key);
+    if (value === undefined) value = lookup(catalogs[DEFAULT_LOCALE], key);
+    if (value === undefined) return key;
+
+    if (typeof value === "object") {
+      const count = Number(vars.count) || 0;
+      value = value[pluralRules.select(count)] || value.other;
+    }
+    return interpolate(String(value), vars);
+  };
+}
+
+/**
+ * Format a date/time for a locale; unparseable values are returned as-is (carrier strings)
+ */
+function formatDate(value, locale, options = { dateStyle: "medium", timeStyle: "short" }) {
+  const date = new Date(value);
+  if (!value || isNaN(date.getTime())) return value || "";
+  return new Intl.DateTimeFormat(locale, options).format(date);
+}
+
+function formatPrice(amount, currency, locale) {
+  const number = Number(amount);
+  if (!currency || isNaN(number)) return [amount, currency].filter(Boolean).join(" ");
+  try {
+    return new Intl.NumberFormat(locale, { style: "currency", currency }).format(number);
+  } catch (e) {
+    return `${amount} ${currency}`;
+  }
+}
+
+/**
+ * Express middleware: exposes locale, t, formatDate and formatPrice to views (res.locals)
+ * and to route handlers (req.t)
+ */
+function middleware() {
+  return (req, res, next) => {
+    const locale = resolveLocale(req);
+    const t = createTranslator(locale);
+
+    req.locale = locale;
+    req.t = t;
+    res.locals.locale = locale;
+    res.locals.t = t;
+    res.locals.formatDate = (value, options) => formatDate(value, locale, options);
+    res.locals.formatPrice = (amount, currency) => formatPrice(amount, currency, locale);
+    next();
+  };
+}
+
+module.exports = { middleware, createTranslator, resolveLocale, matchLocale, formatDate, formatPrice, SUPPORTED, DEFAULT_LOCALE };
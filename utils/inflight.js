@@ -0,0 +1,23 @@
+/**
+ * Request coalescing: concurrent calls with the same key share one in-flight promise.
+ */
+const inflight = new Map();
+
+function coalesce(key, fn) {
+    if (inflight.has(key)) {
+        return inflight.get(key);
+    }
+
+    const promise = Promise.resolve()
+        .then(fn)
+        .finally(() => inflight.delete(key));
+
+    inflight.set(key, promise);
+    return promise;
+}
+
+function inflightCount() {
+    return inflight.size;
+}
+
+module.exports = { coalesce, inflightCount };
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../logger').child({ component: 'Store' });
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+
+/**
+ * Small file-backed key/value store.
+ * Everything lives in memory and is flushed to data/<name>.json shortly after each change,
+ * so reads stay synchronous and a restart picks up where we left off.
+ */
+// Every store created in this process, so scripts can flush them all before exiting
+const stores = [];
+
+function createJsonStore(name, { flushDelayMs = 500 } = {}) {
+    const filePath = path.join(DATA_DIR, `${name}.json`);
+    let data = {};
+    let flushTimer = null;
+    let writing = Promise.resolve();
+
+    try {
+        if (fs.existsSync(filePath)) {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8')) || {};
+        }
+    } catch (e) {
+        logger.error('Failed to load store', { store: name, error: e });
+        data = {};
+    }
+
+    function flush() {
+        flushTimer = null;
+        const snapshot = JSON.stringify(data);
+        const tmpPath = `${filePath}.tmp`;
+        writing = writing
+            .then(() => fs.promises.mkdir(DATA_DIR, { recursive: true }))
+            .then(() => fs.promises.writeFile(tmpPath, snapshot))
+            .then(() => fs.promises.rename(tmpPath, filePath))
+            .catch(e => logger.error('Failed to write store', { store: name, error: e }));
+        return writing;
+    }
+
+    function scheduleFlush() {
+        if (flushTimer) return;
+        flushTimer = setTimeout(flush, flushDelayMs);
+        if (flushTimer.unref) flushTimer.unref();
+    }
+
+    const store = {
+        get(key) {
+            return data[key];
+        },
+        set(key, value) {
+            data[key] = value;
+            scheduleFlush();
+            return value;
+        },
+        delete(key) {
+            delete data[key];
+            scheduleFlush();
+        },
+        has(key) {
+            return Object.prototype.hasOwnProperty.call(data, key);
+        },
+        keys() {
+            return Object.keys(data);
+        },
+        values() {
+            return Object.values(data);
+        },
+        // Force pending changes to disk (used by CLI scripts before exiting)
+        flush() {
+            if (flushTimer) {
+                clearTimeout(flushTimer);
+                return flush();
+            }
+            return writing;
+        }
+    };
+    stores.push(store);
+    return store;
+}
+
+function flushAll() {
+    return Promise.all(stores.map(store => store.flush()));
+}
+
+module.exports = { createJsonStore, flushAll, DATA_DIR };
@@ -0,0 +1,179 @@
+/**
+ * In-process metrics in the Prometheus text format (served at GET /metrics by routes/metrics.js).
+ *
+ *   const requests = metrics.counter('http_requests_total', 'HTTP requests', ['method', 'route', 'status']);
+ *   requests.inc({ method: 'GET', route: '/proxy/track', status: 200 });
+ *   metrics.histogram('http_request_duration_seconds', 'Request latency', ['route']).observe({ route }, 0.12);
+ *   metrics.gauge('cache_hit_ratio', 'Cache hit ratio', ['type'], () => [{ labels: { type }, value }]);
+ *
+ * Gauges are read from a collect callback at scrape time, so modules that already keep their
+ * own numbers (cache.stats(), circuit breakers) don't need to push them.
+ * Values live in memory and restart at zero with the process, as Prometheus expects.
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+const registry = new Map();
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelKey(labelNames, labels = {}) {
+    return labelNames.map(name => (labels[name] === undefined ? '' : String(labels[name])));
+}
+
+function formatLabels(labelNames, values, extra = '') {
+    const parts = labelNames.map((name, i) => `${name}="${escapeLabel(values[i])}"`);
+    if (extra) parts.push(extra);
+    return parts.length > 0 ? `{${parts.join(',')}}` : '';
+}
+
+function register(name, metric) {
+    if (registry.has(name)) return registry.get(name);
+    registry.set(name, metric);
+    return metric;
+}
+
+function counter(name, help, labelNames = []) {
+    const series = new Map();
+    return register(name, {
+        type: 'counter',
+        help,
+        inc(labels, value = 1) {
+            const values = labelKey(labelNames, labels);
+            const key = values.join('\u0000');
+            const entry = series.get(key) || { values, value: 0 };
+            entry.value += value;
+            series.set(key, entry);
+        },
+        lines() {
+            return [...series.values()].map(s => `${name}${formatLabels(labelNames, s.values)} ${s.value}`);
+        }
+    });
+}
+
+function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    const series = new Map();
+    return register(name, {
+        type: 'histogram',
+        help,
+        observe(labels, value) {
+            const values = labelKey(labelNames, labels);
+            const key = values.join('\u0000');
+            const entry = series.get(key) || { values, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((le, i) => {
+                if (value <= le) entry.counts[i]++;
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        },
+        lines() {
+            const out = [];
+            series.forEach(s => {
+                buckets.forEach((le, i) => out.push(`${name}_bucket${formatLabels(labelNames, s.values, `le="${le}"`)} ${s.counts[i]}`));
+                out.push(`${name}_bucket${formatLabels(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+                out.push(`${name}_sum${formatLabels(labelNames, s.values)} ${s.sum}`);
+                out.push(`${name}_count${formatLabels(labelNames, s.values)} ${s.count}`);
+            });
+            return out;
+        }
+    });
+}
+
+/**
+ * `collect` returns [{ labels, value }] (or a number for an unlabelled gauge).
+ * Pass { type: 'counter' } for totals another module already counts.
+ */
+function gauge(name, help, labelNames, collect, { type = 'gauge' } = {}) {
+    return register(name, {
+        type,
+        help,
+        lines() {
+            const result = collect();
+            const samples = typeof result === 'number' ? [{ labels: {}, value: result }] : (result || []);
+            return samples
+                .filter(s => s.value !== null && s.value !== undefined && !isNaN(s.value))
+                .map(s => `${name}${formatLabels(labelNames, labelKey(labelNames, s.labels))} ${s.value}`);
+        }
+    });
+}
+
+/**
+ * Start a timer; the returned function gives the elapsed seconds
+ */
+function startTimer() {
+    const start = process.hrtime.bigint();
+    return () => Number(process.hrtime.bigint() - start) / 1e9;
+}
+
+/**
+ * =========================
+ * Shared metrics
+ * =========================
+ */
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route']);
+
+const upstreamRequests = counter('upstream_requests_total', 'Calls to upstream APIs (tracking providers, Shopify, translators)', ['upstream', 'operation', 'outcome']);
+const upstreamErrors = counter('upstream_errors_total', 'Failed upstream calls by reason (HTTP status or vendor error code)', ['upstream', 'operation', 'reason']);
+const upstreamDuration = histogram('upstream_request_duration_seconds', 'Upstream call latency', ['upstream', 'operation']);
+
+/**
+ * Express middleware: count and time every request under its route pattern
+ * (e.g. /api/v1/trackings/:number), so tracking numbers don't become label values
+ */
+function httpMiddleware() {
+    return (req, res, next) => {
+        const elapsed = startTimer();
+        res.on('finish', () => {
+            const route = req.route ? `${req.baseUrl}${[].concat(req.route.path)[0]}` : 'unmatched';
+            httpRequests.inc({ method: req.method, route, status: res.statusCode });
+            httpDuration.observe({ method: req.method, route }, elapsed());
+        });
+        next();
+    };
+}
+
+function errorReason(error) {
+    if (error.upstreamCode !== undefined) return String(error.upstreamCode);
+    if (error.response) return `http_${error.response.status}`;
+    return error.code || error.name || 'error';
+}
+
+/**
+ * Time an upstream call. `classify(result)` names the outcome of a call that resolved
+ * ('error' counts it as failed); thrown errors are counted by reason and rethrown.
+ */
+async function timeUpstream(upstream, operation, fn, classify = () => 'success') {
+    const elapsed = startTimer();
+    try {
+        const result = await fn();
+        const outcome = classify(result);
+        upstreamRequests.inc({ upstream, operation, outcome });
+        if (outcome === 'error') upstreamErrors.inc({ upstream, operation, reason: 'rejected' });
+        return result;
+    } catch (error) {
+        upstreamRequests.inc({ upstream, operation, outcome: 'error' });
+        upstreamErrors.inc({ upstream, operation, reason: errorReason(error) });
+        throw error;
+    } finally {
+        upstreamDuration.observe({ upstream, operation }, elapsed());
+    }
+}
+
+function render() {
+    const out = [];
+    registry.forEach((metric, name) => {
+        let lines;
+        try {
+            lines = metric.lines();
+        } catch (e) {
+            lines = [];
+        }
+        out.push(`# HELP ${name} ${metric.help}`, `# TYPE ${name} ${metric.type}`, ...lines);
+    });
+    return out.join('\n') + '\n';
+}
+
+module.exports = { counter, histogram, gauge, startTimer, render, httpMiddleware, timeUpstream };
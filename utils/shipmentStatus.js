@@ -0,0 +1,118 @@
+/**
+ * =========================
+ * Canonical Shipment Status
+ * =========================
+ * The one status vocabulary used across the app. Providers (17TRACK, AfterShip)
+ * and Shopify's shipment_status are mapped into it in the service layer;
+ * the carrier's own wording travels separately as `status_text`.
+ */
+const STATUS = Object.freeze({
+  ORDERED: "ordered",                           // Not handed to a carrier yet
+  INFO_RECEIVED: "info_received",               // Label created / number registered
+  IN_TRANSIT: "in_transit",
+  CUSTOMS_HOLD: "customs_hold",                 // Sub-status of in transit
+  OUT_FOR_DELIVERY: "out_for_delivery",
+  AVAILABLE_FOR_PICKUP: "available_for_pickup",
+  DELIVERY_FAILED: "delivery_failed",           // Attempted, not delivered
+  EXCEPTION: "exception",
+  RETURNED_TO_SENDER: "returned_to_sender",     // Sub-status of exception
+  DELIVERED: "delivered",
+  EXPIRED: "expired",
+  UNKNOWN: "unknown"
+});
+
+/**
+ * Progress steps shown to customers, in order (STATUS_META.step indexes into this).
+ */
+const STEPS = [
+  { key: "ordered", label: "Ordered" },
+  { key: "shipped", label: "Shipped" },
+  { key: "in_transit", label: "In transit" },
+  { key: "out_for_delivery", label: "Out for delivery" },
+  { key: "delivered", label: "Delivered" }
+];
+
+/**
+ * Per-status presentation: headline, icon, progress step and tone
+ * (tone drives colouring: normal | success | warning | danger).
+ */
+const STATUS_META = {
+  [STATUS.ORDERED]:              { headline: "We are preparing your order for dispatch.", icon: "🧾", step: 0, tone: "normal" },
+  [STATUS.INFO_RECEIVED]:        { headline: "Your order has shipped.",                  icon: "🏷️", step: 1, tone: "normal" },
+  [STATUS.IN_TRANSIT]:           { headline: "Your order is on the way.",                icon: "🚚", step: 2, tone: "normal" },
+  [STATUS.CUSTOMS_HOLD]:         { headline: "Your order is being processed by customs.", icon: "🛃", step: 2, tone: "warning" },
+  [STATUS.OUT_FOR_DELIVERY]:     { headline: "Your order is out for delivery.",          icon: "📍", step: 3, tone: "normal" },
+  [STATUS.AVAILABLE_FOR_PICKUP]: { headline: "Ready for pickup.",                        icon: "🏪", step: 3, tone: "warning" },
+  [STATUS.DELIVERY_FAILED]:      { headline: "Delivery attempted.",                      icon: "🚪", step: 3, tone: "warning" },
+  [STATUS.EXCEPTION]:            { headline: "Shipment alert.",                          icon: "⚠️", step: 2, tone: "danger" },
+  [STATUS.RETURNED_TO_SENDER]:   { headline: "Your order is being returned to sender.",  icon: "↩️", step: 2, tone: "danger" },
+  [STATUS.DELIVERED]:            { headline: "Your order has been delivered.",           icon: "✅", step: 4, tone: "success" },
+  [STATUS.EXPIRED]:              { headline: "Tracking expired.",                        icon: "⌛", step: 2, tone: "warning" },
+  [STATUS.UNKNOWN]:              { headline: "We are preparing your order for dispatch.", icon: "📦", step: 1, tone: "normal" }
+};
+
+const VALID = new Set(Object.values(STATUS));
+
+function isStatus(value) {
+  return VALID.has(value);
+}
+
+/**
+ * Best-effort mapping for free-form text (legacy stored data, unknown vendor wording).
+ * Providers should map their own codes instead of relying on this.
+ */
+function fromText(text) {
+  const st = String(text || "").toLowerCase();
+  if (!st) return STATUS.UNKNOWN;
+  if (st.includes("return")) return STATUS.RETURNED_TO_SENDER;
+  if (st.includes("customs")) return STATUS.CUSTOMS_HOLD;
+  if (st.includes("out for delivery") || st.includes("out_for_delivery")) return STATUS.OUT_FOR_DELIVERY;
+  if (st.includes("undelivered") || st.includes("attempt") || st.includes("failure")) return STATUS.DELIVERY_FAILED;
+  if (st.includes("deliver")) return STATUS.DELIVERED;
+  if (st.includes("pickup")) return STATUS.AVAILABLE_FOR_PICKUP;
+  if (st.includes("transit") || st.includes("shipped") || st.includes("picked up")) return STATUS.IN_TRANSIT;
+  if (st.includes("expired")) return STATUS.EXPIRED;
+  if (st.includes("alert") || st.includes("exception")) return STATUS.EXCEPTION;
+  if (st.includes("registered") || st.includes("info received") || st.includes("label")) return STATUS.INFO_RECEIVED;
+  return STATUS.UNKNOWN;
+}
+
+/**
+ * Coerce any value into the enum (enum values pass through untouched).
+ */
+function normalize(value) {
+  return isStatus(value) ? value : fromText(value);
+}
+
+function describe(status) {
+  return STATUS_META[normalize(status)];
+}
+
+/**
+ * Map Shopify's fulfillment shipment_status into the enum.
+ * A fulfillment without a shipment_status has shipped but has no carrier scans yet.
+ */
+function fromShopify(shipmentStatus) {
+  switch (shipmentStatus) {
+    case "label_printed":
+    case "label_purchased":
+    case "confirmed":
+      return STATUS.INFO_RECEIVED;
+    case "in_transit":
+      return STATUS.IN_TRANSIT;
+    case "out_for_delivery":
+      return STATUS.OUT_FOR_DELIVERY;
+    case "attempted_delivery":
+      return STATUS.DELIVERY_FAILED;
+    case "ready_for_pickup":
+      return STATUS.AVAILABLE_FOR_PICKUP;
+    case "delivered":
+      return STATUS.DELIVERED;
+    case "failure":
+      return STATUS.EXCEPTION;
+    default:
+      return STATUS.INFO_RECEIVED;
+  }
+}
+
+module.exports = { STATUS, STEPS, STATUS_META, isStatus, normalize, describe, fromText, fromShopify };
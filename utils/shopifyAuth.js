@@ -1,4 +1,8 @@
 const crypto = require('crypto');
+const logger = require('../logger').child({ component: 'Security' });
+
+// Max allowed difference between Shopify's `timestamp` param and our clock
+const MAX_SKEW_SECONDS = parseInt(process.env.APP_PROXY_MAX_SKEW_SECONDS, 10) || 300;
 
 /**
  * Verify Shopify App Proxy HMAC Signature
@@ -6,8 +10,8 @@ const crypto = require('crypto');
  */
 function verifyShopifySignature(query, sharedSecret) {
     if (!sharedSecret || sharedSecret === 'YOUR_CLIENT_SECRET_HERE') {
-        console.warn('⚠️ SHOPIFY_APP_SECRET not configured. Skipping signature verification.');
-        return true; // Fail open for dev, or return false for security
+        logger.warn('SHOPIFY_APP_SECRET not configured, cannot verify App Proxy signature');
+        return false;
     }
 
     // 1. Extract signature
@@ -42,4 +46,148 @@ function verifyShopifySignature(query, sharedSecret) {
     }
 }
 
-module.exports = { verifyShopifySignature };
+/**
+ * Reject replays: Shopify's `timestamp` param (unix seconds) must be recent
+ */
+function isFreshTimestamp(timestamp, maxSkewSeconds = MAX_SKEW_SECONDS) {
+    const ts = parseInt(timestamp, 10);
+    if (!ts) return false;
+    return Math.abs(Math.floor(Date.now() / 1000) - ts) <= maxSkewSeconds;
+}
+
+/**
+ * Signature checks can only be skipped explicitly, and never in production.
+ * APP_PROXY_SIGNATURE_BYPASS=true is meant for local development without the Shopify proxy.
+ */
+function isBypassEnabled() {
+    return process.env.APP_PROXY_SIGNATURE_BYPASS === 'true' && process.env.NODE_ENV !== 'production';
+}
+
+/**
+ * Express middleware enforcing a valid, fresh App Proxy signature.
+ * Options: { json: true } answers with JSON instead of the error page.
+ */
+function requireAppProxySignature({ json = false } = {}) {
+    const secret = process.env.SHOPIFY_APP_SECRET;
+
+    if (isBypassEnabled()) {
+        logger.warn('APP_PROXY_SIGNATURE_BYPASS enabled, App Proxy signatures are NOT verified');
+    }
+
+    return (req, res, next) => {
+        if (isBypassEnabled()) {
+            return next();
+        }
+
+        let reason = null;
+        if (!verifyShopifySignature(req.query, secret)) {
+            reason = 'invalid signature';
+        } else if (!isFreshTimestamp(req.query.timestamp)) {
+            reason = 'stale timestamp';
+        }
+
+        if (!reason) {
+            return next();
+        }
+
+        logger.warn('App Proxy request rejected', { reason, method: req.method, path: req.path });
+
+        const message = req.t ? req.t('errors.INVALID_SIGNATURE') : 'This page must be opened from the store. Please go back and try again.';
+        if (json) {
+            return res.status(401).json({ ok: false, code: 'INVALID_SIGNATURE', error: message });
+        }
+        res.status(401).render('error', { message });
+    };
+}
+
+/**
+ * Only accept real *.myshopify.com domains as `shop` (prevents open redirects during OAuth)
+ */
+function isValidShopDomain(shop) {
+    return /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i.test(String(shop || ''));
+}
+
+/**
+ * Verify the `hmac` param on OAuth install/callback requests
+ * Docs: https://shopify.dev/docs/apps/build/authentication-authorization/access-tokens/authorization-code-grant
+ */
+function verifyOAuthHmac(query, sharedSecret) {
+    if (!sharedSecret || !query || !query.hmac) return false;
+
+    const { hmac, signature, ...params } = query;
+    const message = Object.keys(params).sort()
+        .map(key => `${key}=${Array.isArray(params[key]) ? params[key].join(',') : params[key]}`)
+        .join('&');
+
+    const generated = crypto.createHmac('sha256', sharedSecret).update(message).digest('hex');
+    try {
+        return crypto.timingSafeEqual(Buffer.from(generated), Buffer.from(String(hmac)));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Verify a Shopify webhook: X-Shopify-Hmac-Sha256 is base64 HMAC of the raw body
+ */
+function verifyWebhookHmac(rawBody, hmacHeader, sharedSecret) {
+    if (!sharedSecret || !hmacHeader || !rawBody) return false;
+
+    const generated = crypto.createHmac('sha256', sharedSecret).update(rawBody).digest('base64');
+    try {
+        return crypto.timingSafeEqual(Buffer.from(generated), Buffer.from(String(hmacHeader)));
+    } catch (e) {
+        return false;
+    }
+}
+
+/**
+ * Verify a Shopify session token (App Bridge `shopify.idToken()` in the embedded admin):
+ * an HS256 JWT signed with the app secret, addressed to our API key.
+ * Returns { shop, user } or null.
+ * Docs: https://shopify.dev/docs/apps/build/authentication-authorization/session-tokens
+ */
+function verifySessionToken(token, { apiKey, secret }) {
+    if (!token || !secret) return null;
+
+    const parts = String(token).split('.');
+    if (parts.length !== 3) return null;
+    const [header, payload, signature] = parts;
+
+    const generated = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest('base64url');
+    try {
+        if (!crypto.timingSafeEqual(Buffer.from(generated), Buffer.from(signature))) return null;
+    } catch (e) {
+        return null;
+    }
+
+    let claims;
+    try {
+        if (JSON.parse(Buffer.from(header, 'base64url').toString('utf8')).alg !== 'HS256') return null;
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (e) {
+        return null;
+    }
+
+    // Small leeway for clock drift between Shopify and us
+    const now = Math.floor(Date.now() / 1000);
+    if (!claims.exp || now > claims.exp + 5) return null;
+    if (claims.nbf && now < claims.nbf - 5) return null;
+    if (apiKey && claims.aud !== apiKey) return null;
+
+    const shop = String(claims.dest || '').replace(/^https:\/\//, '');
+    const issuer = String(claims.iss || '').replace(/^https:\/\//, '').split('/')[0];
+    if (!isValidShopDomain(shop) || issuer !== shop) return null;
+
+    return { shop: shop.toLowerCase(), user: claims.sub || null };
+}
+
+module.exports = {
+    verifyShopifySignature,
+    isFreshTimestamp,
+    requireAppProxySignature,
+    isValidShopDomain,
+    verifyOAuthHmac,
+    verifyWebhookHmac,
+    verifySessionToken
+};
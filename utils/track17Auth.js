@@ -0,0 +1,28 @@
+const crypto = require('crypto');
+
+/**
+ * Verify a 17TRACK webhook push
+ * 17TRACK signs each push with sha256(rawBody + "/" + securityKey) in the `sign` header.
+ */
+function verify17TrackSignature(rawBody, sign, securityKey) {
+    if (!securityKey || !sign || !rawBody) {
+        return false;
+    }
+
+    const expected = crypto
+        .createHash('sha256')
+        .update(`${rawBody}/${securityKey}`)
+        .digest('hex');
+
+    // Use timingSafeEqual to prevent timing attacks
+    try {
+        return crypto.timingSafeEqual(
+            Buffer.from(expected),
+            Buffer.from(String(sign).toLowerCase())
+        );
+    } catch (e) {
+        return false;
+    }
+}
+
+module.exports = { verify17TrackSignature };
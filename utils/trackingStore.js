@@ -0,0 +1,59 @@
+const { createJsonStore } = require('./jsonStore');
+const logger = require('../logger').child({ component: 'Store' });
+
+/**
+ * Local store of normalized tracking results, keyed by tracking number.
+ * Filled by provider webhook pushes (and the first pull for unknown numbers),
+ * read by getTrackingInfo so page views never wait on the carrier.
+ *
+ * Entry shape: { tracking, status, status_text, carrier, events, estimated_delivery, provider, stopped, updated_at }
+ * Events are always stored untranslated.
+ */
+const store = createJsonStore('tracking');
+
+// Called with (previous, entry) after every save; previous is null for new numbers
+const changeListeners = [];
+const pendingListeners = new Set();
+
+function onTrackingChange(listener) {
+    changeListeners.push(listener);
+}
+
+function emitChange(previous, entry) {
+    changeListeners.forEach(listener => {
+        const pending = Promise.resolve()
+            .then(() => listener(previous, entry))
+            .catch(e => logger.error('Tracking change listener failed', { tracking: entry.tracking, error: e }))
+            .finally(() => pendingListeners.delete(pending));
+        pendingListeners.add(pending);
+    });
+}
+
+// Resolves once every listener call started so far has finished (CLI scripts wait for it before exiting)
+function whenIdle() {
+    return Promise.all([...pendingListeners]);
+}
+
+function getTracking(trackingNumber) {
+    return store.get(trackingNumber) || null;
+}
+
+function saveTracking(trackingNumber, info) {
+    const previous = store.get(trackingNumber) || null;
+    const entry = store.set(trackingNumber, {
+        ...(previous || {}),
+        ...info,
+        tracking: trackingNumber,
+        updated_at: new Date().toISOString()
+    });
+    emitChange(previous, entry);
+    return entry;
+}
+
+function markStopped(trackingNumber) {
+    const previous = store.get(trackingNumber);
+    if (!previous) return null;
+    return store.set(trackingNumber, { ...previous, stopped: true, updated_at: new Date().toISOString() });
+}
+
+module.exports = { getTracking, saveTracking, markStopped, onTrackingChange, whenIdle, store };